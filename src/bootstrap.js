@@ -0,0 +1,66 @@
+import { getResponseBody } from './bulk-result.js'
+
+function isAlreadyExists (err) {
+  const body = err.meta && getResponseBody(err.meta)
+  return Boolean(body && body.error && body.error.type === 'resource_already_exists_exception')
+}
+
+// Data streams are created by their index template, so only the indexes of
+// index, update and delete operations are created up front
+function getIndexNames (meta) {
+  return [...new Set(meta
+    .filter(entry => !entry.action.create)
+    .map(entry => Object.values(entry.action)[0]._index))]
+}
+
+// Templates and indexes known to exist are cached for the lifetime of the
+// handler, so a warm container only checks indexes it has not seen yet
+export function createBootstrap (esclient, options) {
+  const existing = new Set()
+  let templates
+
+  async function ensureTemplates () {
+    for (const { name, body } of options.templates || []) {
+      const exists = getResponseBody(await esclient.indices.existsIndexTemplate({ name }))
+      if (!exists) {
+        await esclient.indices.putIndexTemplate({ name, body })
+      }
+    }
+  }
+
+  async function ensureIndex (index) {
+    const exists = getResponseBody(await esclient.indices.exists({ index }))
+    if (!exists) {
+      const body = typeof options.index === 'function'
+        ? await options.index(index)
+        : options.index
+      try {
+        await esclient.indices.create({ index, body })
+      } catch (err) {
+        // Another container created it in the meantime
+        if (!isAlreadyExists(err)) {
+          throw err
+        }
+      }
+    }
+    existing.add(index)
+  }
+
+  async function ensure (meta) {
+    if (!templates) {
+      templates = ensureTemplates().catch(err => {
+        templates = undefined
+        throw err
+      })
+    }
+    await templates
+
+    if (options.index) {
+      for (const index of getIndexNames(meta).filter(index => !existing.has(index))) {
+        await ensureIndex(index)
+      }
+    }
+  }
+
+  return { ensure }
+}
@@ -1,27 +1,106 @@
+import isEqual from 'lodash/isEqual.js'
+import omit from 'lodash/omit.js'
 import pick from 'lodash/pick.js'
 
-import { VERSION } from './schemas.js'
+import { SEQ_NO, TIMESTAMP, VERSION } from './schemas.js'
+import { DataStreamError } from './errors/DataStreamError.js'
+import { FieldNotFoundError } from './errors/FieldNotFoundError.js'
 import { UnknownEventNameError } from './errors/UnknownEventNameError.js'
-import { assembleField, getField, validate, parseRecord } from './utils.js'
+import { VersionRolloverError } from './errors/VersionRolloverError.js'
+import { buildDependentUpdates } from './dependents.js'
+import { resolveEntity } from './entities.js'
+import { applyFieldMap } from './field-map.js'
+import { matchesFilter } from './filter.js'
+import { isIndexTemplate, renderIndexName } from './index-name.js'
+import { createLookupLoader } from './lookups.js'
+import { resolveRoute, resolveTargets } from './routes.js'
+import { toJSONValue } from './serialization.js'
+import {
+  assembleField,
+  compareSequenceNumbers,
+  getEventTime,
+  getField,
+  isTtlExpiration,
+  mapConcurrent,
+  parseRecord,
+  toDate,
+  validate
+} from './utils.js'
 
-export function buildDoc (parsedRecord, options) {
-  const doc = options.pickFields
+const DEFAULT_CONCURRENCY = 1
+
+export async function buildDoc (parsedRecord, options, loader) {
+  let doc = options.pickFields
     ? pick(parsedRecord.NewImage, options.pickFields)
     : parsedRecord.NewImage
 
+  if (options.stripFields) {
+    doc = omit(doc, options.stripFields)
+  }
+
+  if (options.fieldMap) {
+    doc = applyFieldMap(doc, options.fieldMap, parsedRecord)
+  }
+
+  if (options.joins) {
+    doc = await loader.resolve(doc, parsedRecord.NewImage, options.joins)
+  }
+
   if (options.transformRecordHook) {
     return options.transformRecordHook(doc, parsedRecord.OldImage)
   }
   return doc
 }
 
-export function buildAction (parsedRecord, options) {
+function buildIndexName (record, parsedRecord, options) {
   const {
     separator = '.',
     indexPrefix = ''
   } = options
 
-  const doc = buildDoc(parsedRecord, options)
+  if (options.index) {
+    return isIndexTemplate(options.index)
+      ? renderIndexName(options.index, record, parsedRecord)
+      : options.index
+  }
+
+  return `${indexPrefix}${assembleField(parsedRecord, options.indexField, separator)}`
+}
+
+const SEQUENCE_DIGITS = 1000000000n
+
+// Stream sequence numbers have 21 to 40 digits, too many for the 64-bit
+// versions of Elasticsearch. The version is made of the creation time in
+// seconds followed by the last 9 digits of the sequence number, sent as a
+// string since it exceeds Number.MAX_SAFE_INTEGER. Those digits roll over, so
+// two changes of an item within the same second can get versions out of
+// order, which findVersionRollovers() detects within a batch.
+function getRecordVersion (record, parsedRecord, versionFrom) {
+  const {
+    ApproximateCreationDateTime: time,
+    SequenceNumber: sequenceNumber
+  } = record.dynamodb
+
+  if (time === undefined) {
+    throw new FieldNotFoundError(parsedRecord, 'ApproximateCreationDateTime')
+  }
+
+  if (versionFrom === 'approximateCreationDateTime') {
+    return getEventTime(record).getTime()
+  }
+
+  if (sequenceNumber === undefined) {
+    throw new FieldNotFoundError(parsedRecord, 'SequenceNumber')
+  }
+
+  const seconds = BigInt(Math.floor(getEventTime(record).getTime() / 1000))
+  return String(seconds * SEQUENCE_DIGITS + BigInt(sequenceNumber) % SEQUENCE_DIGITS)
+}
+
+export async function buildAction (record, parsedRecord, options, loader) {
+  const { separator = '.' } = options
+
+  const doc = await buildDoc(parsedRecord, options, loader)
 
   const idResolver = options.idResolver || (() => {
     return options.idField
@@ -29,11 +108,10 @@ export function buildAction (parsedRecord, options) {
       : assembleField(parsedRecord, Object.keys(parsedRecord.Keys), separator)
   })
 
-  const id = idResolver(doc, parsedRecord.OldImage)
+  const id = await idResolver(doc, parsedRecord.OldImage)
 
   const actionDescriptionObj = {
-    _index: options.index ||
-      `${indexPrefix}${assembleField(parsedRecord, options.indexField, separator)}`,
+    _index: buildIndexName(record, parsedRecord, options),
     _type: options.type ||
       (
         options.typeField &&
@@ -47,17 +125,37 @@ export function buildAction (parsedRecord, options) {
     delete actionDescriptionObj._type
   }
 
-  if (options.parentField) {
-    actionDescriptionObj.parent = getField(parsedRecord, options.parentField)
+  // Join field children must be routed to the shard of their parent, which
+  // is what parentField did before mapping types were removed
+  if (options.routingResolver || options.routingField || options.parentField) {
+    const routing = options.routingResolver
+      ? await options.routingResolver(doc, parsedRecord.OldImage)
+      : assembleField(parsedRecord, options.routingField || options.parentField, separator)
+    actionDescriptionObj.routing = String(routing)
   }
 
-  if (options.versionResolver || options.versionField) {
+  if (options.versionFrom) {
+    actionDescriptionObj.version = getRecordVersion(record, parsedRecord, options.versionFrom)
+    // Changes within the same second share a version unless the stream has
+    // millisecond precision
+    actionDescriptionObj.version_type = options.versionType ||
+      (options.versionFrom === 'approximateCreationDateTime' ? 'external_gte' : 'external')
+  } else if (options.versionResolver || options.versionField) {
     const version = options.versionResolver
-      ? options.versionResolver(doc, parsedRecord.OldImage)
+      ? await options.versionResolver(doc, parsedRecord.OldImage)
       : getField(parsedRecord, options.versionField)
     validate(version, VERSION.label(options.versionField || 'resolved version'))
     actionDescriptionObj.version = version
-    actionDescriptionObj.versionType = 'external'
+    actionDescriptionObj.version_type = options.versionType || 'external'
+  }
+
+  if (options.seqNoField) {
+    const seqNo = getField(parsedRecord, options.seqNoField)
+    const primaryTerm = getField(parsedRecord, options.primaryTermField)
+    validate(seqNo, SEQ_NO.label(options.seqNoField))
+    validate(primaryTerm, SEQ_NO.label(options.primaryTermField))
+    actionDescriptionObj.if_seq_no = seqNo
+    actionDescriptionObj.if_primary_term = primaryTerm
   }
 
   return {
@@ -66,54 +164,468 @@ export function buildAction (parsedRecord, options) {
   }
 }
 
-export function buildRequest (event, context, options) {
-  return event.Records.reduce((acc, record) => {
-    try {
-      const parsedRecord = parseRecord(record)
-      const { action: actionDescriptionObj, doc } = buildAction(parsedRecord, options)
-
-      if (doc) {
-        let action
-        switch (record.eventName) {
-          case 'INSERT':
-          case 'MODIFY':
-            action = { index: actionDescriptionObj }
-            acc.actions.push(action)
-            acc.actions.push(doc)
-            break
-
-          case 'REMOVE':
-            if (actionDescriptionObj && typeof actionDescriptionObj.version !== 'undefined') {
-              actionDescriptionObj.version++
-            }
-            action = { delete: actionDescriptionObj }
-            acc.actions.push(action)
-            break
-
-          default:
-            throw new UnknownEventNameError(record)
-        }
+const REMOVE_FIELDS_SCRIPT = [
+  'for (entry in params.doc.entrySet()) { ctx._source[entry.getKey()] = entry.getValue() }',
+  'for (field in params.remove) { ctx._source.remove(field) }'
+].join(' ')
+
+function diffDoc (doc, oldDoc) {
+  const changed = Object.keys(doc).reduce((acc, key) => {
+    if (!isEqual(doc[key], oldDoc[key])) {
+      acc[key] = doc[key]
+    }
+    return acc
+  }, {})
+
+  const removed = Object.keys(oldDoc).filter(key => doc[key] === undefined)
+
+  return { changed, removed }
+}
+
+async function buildModifyAction (parsedRecord, actionDescriptionObj, doc, options, loader) {
+  const { updateMode = 'index' } = options
 
-        acc.meta.push({
-          event: {
-            ...record,
-            dynamodb: {
-              ...record.dynamodb,
-              ...parsedRecord
-            }
-          },
+  switch (updateMode) {
+    case 'update':
+      return { action: { update: actionDescriptionObj }, body: { doc } }
+
+    case 'upsert':
+      return { action: { update: actionDescriptionObj }, body: { doc, doc_as_upsert: true } }
+
+    case 'diff': {
+      // The old image goes through the same projections, joins and hook, so
+      // both sides of the diff have the same shape
+      const oldDoc = await buildDoc({ ...parsedRecord, NewImage: parsedRecord.OldImage }, options, loader)
+      const { changed, removed } = diffDoc(doc, oldDoc || {})
+      const action = { update: actionDescriptionObj }
+
+      if (Object.keys(changed).length === 0 && removed.length === 0) {
+        return { action, skipped: 'unchanged' }
+      }
+
+      if (options.diffRemoved === 'script') {
+        return {
           action,
-          document: doc
-        })
+          body: {
+            script: {
+              lang: 'painless',
+              source: REMOVE_FIELDS_SCRIPT,
+              params: { doc: changed, remove: removed }
+            },
+            upsert: doc
+          }
+        }
+      }
+
+      return {
+        action,
+        body: {
+          doc: removed.reduce((acc, key) => ({ ...acc, [key]: null }), changed),
+          upsert: doc
+        }
+      }
+    }
+
+    default:
+      return { action: { index: actionDescriptionObj } }
+  }
+}
+
+// Marks the document instead of deleting it: with a partial update that
+// creates the document from the old image when it is missing, or by
+// reindexing the old image when the version must be checked
+async function buildTombstoneAction (parsedRecord, actionDescriptionObj, fields, options, loader) {
+  const oldDoc = await buildDoc({ ...parsedRecord, NewImage: parsedRecord.OldImage }, options, loader)
+
+  if (typeof actionDescriptionObj.version === 'undefined') {
+    return {
+      action: { update: actionDescriptionObj },
+      body: { doc: fields, upsert: { ...oldDoc, ...fields } }
+    }
+  }
+
+  return { action: { index: actionDescriptionObj }, body: { ...oldDoc, ...fields } }
+}
+
+async function buildRemoveAction (record, parsedRecord, actionDescriptionObj, options, loader) {
+  const {
+    ttlMode = 'delete',
+    expiredField = 'expiredAt',
+    removeMode = 'delete',
+    deletedField = 'deleted',
+    deletedAtField = 'deletedAt'
+  } = options
+
+  // A removal must outrank the version of the removed image, unless the
+  // version comes from the removal record itself
+  if (typeof actionDescriptionObj.version !== 'undefined' && !options.versionFrom) {
+    actionDescriptionObj.version++
+  }
+
+  if (ttlMode !== 'delete' && isTtlExpiration(record)) {
+    if (ttlMode === 'skip') {
+      return { action: { delete: actionDescriptionObj }, skipped: 'expired' }
+    }
+
+    return buildTombstoneAction(
+      parsedRecord,
+      actionDescriptionObj,
+      { [expiredField]: getEventTime(record).toISOString() },
+      options,
+      loader
+    )
+  }
+
+  if (removeMode === 'soft') {
+    return buildTombstoneAction(
+      parsedRecord,
+      actionDescriptionObj,
+      {
+        [deletedField]: true,
+        [deletedAtField]: getEventTime(record).toISOString()
+      },
+      options,
+      loader
+    )
+  }
+
+  return { action: { delete: actionDescriptionObj } }
+}
+
+const DATA_STREAM_DEFAULTS = {
+  timestampField: undefined,
+  onModify: 'append',
+  onRemove: 'skip'
+}
+
+function getTimestamp (record, parsedRecord, timestampField) {
+  if (!timestampField) {
+    return getEventTime(record).toISOString()
+  }
+
+  const value = getField(parsedRecord, timestampField)
+  validate(value, TIMESTAMP.label(timestampField))
+  return toDate(value).toISOString()
+}
+
+// Data streams only accept create operations, so changes and removals are
+// either appended as new documents, skipped or rejected. Appended changes get
+// their own ids so that they do not conflict with the inserted document.
+async function buildDataStreamAction (record, parsedRecord, actionDescriptionObj, doc, options, loader) {
+  const { separator = '.' } = options
+  const { timestampField, onModify, onRemove } = {
+    ...DATA_STREAM_DEFAULTS,
+    ...(options.dataStream === true ? {} : options.dataStream)
+  }
+  const policy = { INSERT: 'append', MODIFY: onModify, REMOVE: onRemove }[record.eventName]
+
+  if (!policy) {
+    throw new UnknownEventNameError(record)
+  }
+
+  if (policy === 'reject') {
+    throw new DataStreamError(record, actionDescriptionObj._index)
+  }
+
+  if (policy === 'skip') {
+    return { action: { create: actionDescriptionObj }, skipped: 'appendOnly' }
+  }
+
+  if (record.eventName !== 'INSERT') {
+    const { SequenceNumber: sequenceNumber } = record.dynamodb
+    if (sequenceNumber === undefined) {
+      delete actionDescriptionObj._id
+    } else {
+      actionDescriptionObj._id = `${actionDescriptionObj._id}${separator}${sequenceNumber}`
+    }
+  }
+
+  const source = record.eventName === 'REMOVE'
+    ? await buildDoc({ ...parsedRecord, NewImage: parsedRecord.OldImage }, options, loader)
+    : doc
+
+  return {
+    action: { create: actionDescriptionObj },
+    body: { ...source, '@timestamp': getTimestamp(record, parsedRecord, timestampField) }
+  }
+}
+
+export function buildBody (meta) {
+  return meta.reduce((acc, entry) => {
+    acc.push(entry.action)
+    if (!entry.action.delete) {
+      acc.push(toJSONValue(entry.body !== undefined ? entry.body : entry.document))
+    }
+    return acc
+  }, [])
+}
+
+function getActionKey (entry) {
+  const [description] = Object.values(entry.action)
+  return `${description._index}/${description._id}`
+}
+
+// Marks every entry superseded by a later change of the same document as
+// collapsed, so only the last effective operation per document is sent
+function collapseChanges (meta) {
+  const latest = meta.filter(entry => !entry.skipped).reduce((acc, entry) => {
+    const key = getActionKey(entry)
+    const current = acc.get(key)
+    if (
+      !current ||
+      entry.event.dynamodb.SequenceNumber === undefined ||
+      current.event.dynamodb.SequenceNumber === undefined ||
+      compareSequenceNumbers(entry.event.dynamodb.SequenceNumber, current.event.dynamodb.SequenceNumber) >= 0
+    ) {
+      acc.set(key, entry)
+    }
+    return acc
+  }, new Map())
+
+  meta.forEach(entry => {
+    const last = !entry.skipped && latest.get(getActionKey(entry))
+    if (last && last !== entry) {
+      entry.skipped = 'collapsed'
+      // A partial update that supersedes the insert of the document must
+      // create it, since the insert is not sent
+      if (entry.event.eventName === 'INSERT' && last.action.update && isPartialUpdate(last.body)) {
+        last.body = { ...last.body, doc_as_upsert: true }
       }
-    } catch (err) {
-      if (options.recordErrorHook) {
-        options.recordErrorHook(event, context, err)
-      } else {
-        throw err
+    }
+  })
+}
+
+function isPartialUpdate (body) {
+  return Boolean(body && body.doc) && !body.upsert && !body.doc_as_upsert
+}
+
+function getVersion (entry) {
+  return BigInt(Object.values(entry.action)[0].version)
+}
+
+// Returns the errors of the changes that got a lower version than an earlier
+// change of the same document, by entry, so their records are rejected rather
+// than overwritten by or lost to the earlier change
+function findVersionRollovers (entries) {
+  const byKey = entries.reduce((acc, entry) => {
+    const key = getActionKey(entry)
+    acc.set(key, [...(acc.get(key) || []), entry])
+    return acc
+  }, new Map())
+
+  const rollovers = new Map()
+  byKey.forEach((changes, key) => {
+    changes
+      .sort((a, b) => compareSequenceNumbers(a.event.dynamodb.SequenceNumber, b.event.dynamodb.SequenceNumber))
+      .reduce((highest, entry) => {
+        if (getVersion(entry) < getVersion(highest)) {
+          rollovers.set(entry, new VersionRolloverError(key, [highest.event, entry.event]))
+          return highest
+        }
+        return entry
+      })
+  })
+  return rollovers
+}
+
+function formatEvent (record, parsedRecord) {
+  return {
+    ...record,
+    dynamodb: {
+      ...record.dynamodb,
+      ...parsedRecord
+    }
+  }
+}
+
+async function buildEntry (record, parsedRecord, options, loader) {
+  const { action: actionDescriptionObj, doc } = await buildAction(record, parsedRecord, options, loader)
+
+  if (!doc) {
+    return null
+  }
+
+  let action, body, skipped
+  if (options.dataStream) {
+    ({ action, body, skipped } = await buildDataStreamAction(record, parsedRecord, actionDescriptionObj, doc, options, loader))
+  } else {
+    switch (record.eventName) {
+      case 'INSERT':
+        action = { index: actionDescriptionObj }
+        break
+
+      case 'MODIFY':
+        ({ action, body, skipped } = await buildModifyAction(parsedRecord, actionDescriptionObj, doc, options, loader))
+        break
+
+      case 'REMOVE':
+        ({ action, body, skipped } = await buildRemoveAction(record, parsedRecord, actionDescriptionObj, options, loader))
+        break
+
+      default:
+        throw new UnknownEventNameError(record)
+    }
+  }
+
+  // Ingest pipelines only run for operations that send the whole document
+  const [operation] = Object.keys(action)
+  if ((options.pipeline || options.pipelineField) && ['index', 'create'].includes(operation)) {
+    action[operation].pipeline = options.pipeline || getField(parsedRecord, options.pipelineField)
+  }
+
+  const entry = {
+    event: formatEvent(record, parsedRecord),
+    action,
+    document: doc
+  }
+  if (body !== undefined) {
+    entry.body = body
+  }
+  if (skipped) {
+    entry.skipped = skipped
+  }
+  return entry
+}
+
+function resolveRecord (record, options) {
+  const parsedRecord = parseRecord(record, options.serialization)
+
+  if (options.filter && !matchesFilter(record, parsedRecord, options.filter)) {
+    return { parsedRecord, filtered: true, targets: [] }
+  }
+
+  const recordOptions = resolveEntity(parsedRecord, resolveRoute(record, parsedRecord, options))
+  return {
+    parsedRecord,
+    targets: resolveTargets(recordOptions),
+    dependents: recordOptions.dependents
+  }
+}
+
+// Collects the join keys of every record, so the lookups of the whole batch
+// are fetched together before any document is built
+async function prepareLookups (event, resolved, options) {
+  const loader = createLookupLoader(options.lookup)
+
+  resolved.forEach(({ parsedRecord, targets = [] }, i) => {
+    targets
+      .filter(({ options: targetOptions }) => targetOptions.joins)
+      .forEach(({ options: targetOptions }) => {
+        loader.collect(parsedRecord.NewImage, targetOptions.joins)
+        if (event.Records[i].eventName === 'REMOVE' || targetOptions.updateMode === 'diff') {
+          loader.collect(parsedRecord.OldImage, targetOptions.joins)
+        }
+      })
+  })
+
+  await loader.load()
+  return loader
+}
+
+async function buildRecordEntries (record, { parsedRecord, filtered, targets, error }, loader, sequenceVersioned) {
+  if (error) {
+    throw error
+  }
+
+  if (filtered) {
+    return [{
+      event: formatEvent(record, parsedRecord),
+      action: null,
+      document: null,
+      skipped: 'filtered'
+    }]
+  }
+
+  const entries = []
+
+  for (const { options: targetOptions, target } of targets) {
+    const entry = await buildEntry(record, parsedRecord, targetOptions, loader)
+    if (entry) {
+      if (target !== undefined) {
+        entry.target = target
+      }
+      if (targetOptions.versionFrom === 'sequenceNumber' && !entry.skipped) {
+        sequenceVersioned.add(entry)
+      }
+      entries.push(entry)
+    }
+  }
+
+  return entries
+}
+
+function buildRecordUpdates (record, { parsedRecord, dependents }) {
+  return dependents && record.eventName === 'MODIFY'
+    ? buildDependentUpdates(parsedRecord, dependents)
+    : []
+}
+
+// Records are built concurrently, but meta and actions keep the record order
+export async function buildRequest (event, context, options) {
+  const resolved = event.Records.map(record => {
+    try {
+      return resolveRecord(record, options)
+    } catch (error) {
+      return { error }
+    }
+  })
+
+  const loader = options.lookup
+    ? await prepareLookups(event, resolved, options)
+    : undefined
+
+  async function reject (record, err) {
+    if (options.recordErrorHook) {
+      await options.recordErrorHook(event, context, err)
+    } else if (!options.reportBatchItemFailures && !options.deadLetter) {
+      throw err
+    }
+    return { record, error: err }
+  }
+
+  const sequenceVersioned = new Set()
+  const outcomes = await mapConcurrent(
+    event.Records,
+    options.recordConcurrency || DEFAULT_CONCURRENCY,
+    async (record, i) => {
+      try {
+        const entries = await buildRecordEntries(record, resolved[i], loader, sequenceVersioned)
+        return { record, entries, updates: buildRecordUpdates(record, resolved[i]) }
+      } catch (err) {
+        return reject(record, err)
       }
     }
+  )
+
+  const rollovers = findVersionRollovers(outcomes
+    .filter(({ error }) => !error)
+    .flatMap(({ entries }) => entries.filter(entry => sequenceVersioned.has(entry))))
+
+  for (const [i, outcome] of outcomes.entries()) {
+    const rollover = !outcome.error && outcome.entries.map(entry => rollovers.get(entry)).find(Boolean)
+    if (rollover) {
+      outcomes[i] = await reject(outcome.record, rollover)
+    }
+  }
 
+  const request = outcomes.reduce((acc, { record, entries, updates, error }) => {
+    if (error) {
+      acc.rejected.push({ record, error, handled: Boolean(options.recordErrorHook) })
+    } else {
+      entries.forEach(entry => {
+        acc.meta.push(entry)
+        acc.sources.set(entry, record)
+      })
+      updates.forEach(update => acc.updates.push({ record, request: update }))
+    }
     return acc
-  }, { actions: [], meta: [] })
+  }, { meta: [], sources: new Map(), rejected: [], updates: [] })
+
+  if (options.dedupe) {
+    collapseChanges(request.meta)
+  }
+
+  request.actions = buildBody(request.meta.filter(entry => !entry.skipped))
+
+  return request
 }
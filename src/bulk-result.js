@@ -0,0 +1,82 @@
+const RETRYABLE_STATUSES = [429, 503]
+const RETRYABLE_TYPES = ['es_rejected_execution_exception']
+const MAPPING_TYPES = [
+  'mapper_parsing_exception',
+  'document_parsing_exception',
+  'strict_dynamic_mapping_exception',
+  'illegal_argument_exception'
+]
+
+// @elastic/elasticsearch v7 wraps the response in { body }, v8 does not
+export function getResponseBody (result) {
+  return result && result.body !== undefined ? result.body : result
+}
+
+// Version conflicts are permanent unless conflictPolicy is "retry"
+export function classifyFailure (status, error, conflictPolicy = 'report') {
+  const type = error && error.type
+
+  if (status === 409 || type === 'version_conflict_engine_exception') {
+    return { kind: 'conflict', retryable: conflictPolicy === 'retry' }
+  }
+
+  if (RETRYABLE_STATUSES.includes(status) || RETRYABLE_TYPES.includes(type)) {
+    return { kind: 'rejected', retryable: true }
+  }
+
+  if (MAPPING_TYPES.includes(type)) {
+    return { kind: 'mapping', retryable: false }
+  }
+
+  return { kind: 'unknown', retryable: false }
+}
+
+// Conflicts of externally versioned operations mean that the document is
+// already as new as the record, e.g. when Lambda replays a batch, so they are
+// ignored unless conflictPolicy is set
+function getConflictPolicy (entry, options) {
+  if (options.conflictPolicy) {
+    return options.conflictPolicy
+  }
+  const [description] = Object.values(entry.action)
+  return description.version !== undefined ? 'ignore' : 'report'
+}
+
+// With conflictPolicy "ignore", version conflicts are not reported as
+// failures. Create operations are only sent to data streams with ids derived
+// from the record, so their conflicts mean that a replayed record was
+// already written.
+export function collectItemFailures (items, meta, options = {}) {
+  return items.reduce((acc, item, i) => {
+    const [operation] = Object.keys(item)
+    const { status, error } = item[operation]
+
+    if (error) {
+      const conflictPolicy = getConflictPolicy(meta[i], options)
+      const classification = classifyFailure(status, error, conflictPolicy)
+      if (classification.kind === 'conflict' && (conflictPolicy === 'ignore' || operation === 'create')) {
+        return acc
+      }
+
+      acc.push({
+        record: meta[i],
+        operation,
+        status,
+        error,
+        ...classification
+      })
+    }
+
+    return acc
+  }, [])
+}
+
+export function collectFailures (result, meta, options) {
+  const body = getResponseBody(result)
+
+  if (!body || !body.errors || !Array.isArray(body.items)) {
+    return []
+  }
+
+  return collectItemFailures(body.items, meta, options)
+}
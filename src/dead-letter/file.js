@@ -0,0 +1,11 @@
+import { appendFile } from 'node:fs/promises'
+
+import { toJSONLines } from './format.js'
+
+export function fileDeadLetter ({ path }) {
+  return {
+    write (records, reason) {
+      return appendFile(path, toJSONLines(records, reason))
+    }
+  }
+}
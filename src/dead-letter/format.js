@@ -0,0 +1,27 @@
+function serializeError (error) {
+  if (!(error instanceof Error)) {
+    return error
+  }
+
+  return {
+    name: error.name,
+    message: error.message,
+    details: error.details
+  }
+}
+
+export function formatDeadLetter (entry, reason) {
+  return {
+    reason,
+    record: entry.record,
+    action: entry.action,
+    document: entry.document,
+    error: serializeError(entry.error)
+  }
+}
+
+export function toJSONLines (records, reason) {
+  return records
+    .map(entry => JSON.stringify(formatDeadLetter(entry, reason)) + '\n')
+    .join('')
+}
@@ -0,0 +1,16 @@
+import { randomUUID } from 'node:crypto'
+
+import { toJSONLines } from './format.js'
+
+export function s3DeadLetter ({ client, bucket, prefix = '' }) {
+  return {
+    write (records, reason) {
+      return client.putObject({
+        Bucket: bucket,
+        Key: `${prefix}${new Date().toISOString()}-${reason}-${randomUUID()}.jsonl`,
+        Body: toJSONLines(records, reason),
+        ContentType: 'application/x-ndjson'
+      })
+    }
+  }
+}
@@ -0,0 +1,30 @@
+import chunk from 'lodash/chunk.js'
+
+import { formatDeadLetter } from './format.js'
+import { DeadLetterError } from '../errors/DeadLetterError.js'
+
+// SQS accepts at most 10 messages per SendMessageBatch call
+const BATCH_SIZE = 10
+
+export function sqsDeadLetter ({ client, queueUrl }) {
+  return {
+    async write (records, reason) {
+      for (const batch of chunk(records, BATCH_SIZE)) {
+        const result = await client.sendMessageBatch({
+          QueueUrl: queueUrl,
+          Entries: batch.map((entry, i) => ({
+            Id: String(i),
+            MessageBody: JSON.stringify(formatDeadLetter(entry, reason))
+          }))
+        })
+
+        if (result && result.Failed && result.Failed.length > 0) {
+          throw new DeadLetterError(
+            `Failed to send ${result.Failed.length} dead letter message(s) to ${queueUrl}`,
+            result.Failed
+          )
+        }
+      }
+    }
+  }
+}
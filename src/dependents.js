@@ -0,0 +1,109 @@
+import castArray from 'lodash/castArray.js'
+import get from 'lodash/get.js'
+import isEqual from 'lodash/isEqual.js'
+import retry from 'p-retry'
+
+import { getResponseBody } from './bulk-result.js'
+import { compareSequenceNumbers, getField, mapConcurrent } from './utils.js'
+
+const DEFAULT_RETRY_COUNT = 0
+const DEFAULT_CONCURRENCY = 1
+
+// Sets every parameter path of params.fields, creating the intermediate
+// objects that are missing
+const SET_FIELDS_SCRIPT = [
+  'for (entry in params.fields.entrySet()) {',
+  'def target = ctx._source; def path = entry.getKey().splitOnToken(\'.\');',
+  'for (int i = 0; i < path.length - 1; i++) {',
+  'if (!(target[path[i]] instanceof Map)) { target[path[i]] = [:] }',
+  'target = target[path[i]] }',
+  'target[path[path.length - 1]] = entry.getValue() }'
+].join(' ')
+
+function hasChanged (parsedRecord, paths) {
+  return paths.some(path => !isEqual(get(parsedRecord.OldImage, path), get(parsedRecord.NewImage, path)))
+}
+
+// Returns the update by query requests of the dependents whose watched
+// attributes differ between the old and the new image
+export function buildDependentUpdates (parsedRecord, dependents) {
+  return dependents
+    .filter(dependent => hasChanged(parsedRecord, castArray(dependent.watch || Object.values(dependent.fields))))
+    .map(dependent => ({
+      index: dependent.index,
+      conflicts: 'proceed',
+      body: {
+        query: {
+          term: { [dependent.field]: getField(parsedRecord, dependent.key) }
+        },
+        script: {
+          lang: 'painless',
+          source: SET_FIELDS_SCRIPT,
+          params: {
+            fields: Object.entries(dependent.fields).reduce((acc, [path, attribute]) => {
+              const value = get(parsedRecord.NewImage, attribute)
+              acc[path] = value === undefined ? null : value
+              return acc
+            }, {})
+          }
+        }
+      }
+    }))
+}
+
+function getUpdateKey ({ index, body }) {
+  return JSON.stringify([index, body.query.term, Object.keys(body.script.params.fields)])
+}
+
+// Only the update of the latest record is kept for the same dependent
+// documents, so that parallel requests never race to write older values
+function collapseUpdates (updates) {
+  const latest = updates.reduce((acc, update) => {
+    const key = getUpdateKey(update.request)
+    const current = acc.get(key)
+    if (
+      !current ||
+      update.record.dynamodb.SequenceNumber === undefined ||
+      current.record.dynamodb.SequenceNumber === undefined ||
+      compareSequenceNumbers(update.record.dynamodb.SequenceNumber, current.record.dynamodb.SequenceNumber) >= 0
+    ) {
+      acc.set(key, update)
+    }
+    return acc
+  }, new Map())
+
+  return [...latest.values()]
+}
+
+// Sends the updates, returning those that failed with either the request
+// error, the failures listed in the response or the documents skipped
+// because they changed during the update
+export async function sendDependentUpdates (esclient, updates, options) {
+  const outcomes = await mapConcurrent(
+    collapseUpdates(updates),
+    options.dependentConcurrency || DEFAULT_CONCURRENCY,
+    async update => {
+      try {
+        const result = await retry(
+          () => esclient.updateByQuery(update.request),
+          {
+            retries: DEFAULT_RETRY_COUNT,
+            ...options.retryOptions
+          }
+        )
+        const { failures = [], version_conflicts: conflicts = 0 } = getResponseBody(result) || {}
+        if (failures.length > 0) {
+          return { ...update, error: failures }
+        }
+        if (conflicts > 0) {
+          return { ...update, error: { version_conflicts: conflicts } }
+        }
+        return null
+      } catch (err) {
+        return { ...update, error: err }
+      }
+    }
+  )
+
+  return outcomes.filter(Boolean)
+}
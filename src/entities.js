@@ -0,0 +1,67 @@
+import castArray from 'lodash/castArray.js'
+import omit from 'lodash/omit.js'
+import union from 'lodash/union.js'
+
+import { EntityNotFoundError } from './errors/EntityNotFoundError.js'
+import { FieldNotFoundError } from './errors/FieldNotFoundError.js'
+import { mergeMapping } from './routes.js'
+import { findField } from './utils.js'
+
+const ENTITY_KEYS = ['name', 'field', 'prefix', 'pattern', 'idGroups']
+
+// Returns the groups captured from the entity key, or null when the record
+// is not of this entity type. A prefix captures the rest of the key as "id".
+export function matchEntity (parsedRecord, entity) {
+  const value = findField(parsedRecord, entity.field)
+
+  if (typeof value !== 'string') {
+    return null
+  }
+
+  if (entity.prefix !== undefined) {
+    return value.startsWith(entity.prefix)
+      ? { id: value.slice(entity.prefix.length) }
+      : null
+  }
+
+  const match = new RegExp(entity.pattern).exec(value)
+  return match ? { ...match.groups } : null
+}
+
+export function resolveEntity (parsedRecord, options) {
+  if (!options.entities) {
+    return options
+  }
+
+  for (const entity of options.entities) {
+    const groups = matchEntity(parsedRecord, entity)
+    if (!groups) {
+      continue
+    }
+
+    const mapping = omit(entity, ENTITY_KEYS)
+    const { separator = '.' } = { ...options, ...mapping }
+    const idGroups = entity.idGroups
+      ? castArray(entity.idGroups)
+      : (groups.id !== undefined ? ['id'] : [])
+
+    if (idGroups.length > 0) {
+      mapping.idResolver = () => idGroups
+        .map(group => {
+          if (groups[group] === undefined) {
+            throw new FieldNotFoundError(parsedRecord, `${entity.field}(${group})`)
+          }
+          return groups[group]
+        })
+        .join(separator)
+    }
+
+    if (!mapping.stripFields) {
+      mapping.stripFields = union(Object.keys(parsedRecord.Keys), [entity.field])
+    }
+
+    return mergeMapping(omit(options, 'entities'), mapping)
+  }
+
+  throw new EntityNotFoundError(parsedRecord)
+}
@@ -0,0 +1,7 @@
+export class BulkItemError extends Error {
+  constructor (failures) {
+    super(`${failures.length} bulk item(s) failed`)
+    this.name = 'BulkItemError'
+    this.details = failures
+  }
+}
@@ -0,0 +1,7 @@
+export class DataStreamError extends Error {
+  constructor (record, index) {
+    super(`"${record.eventName}" records cannot be written to data stream "${index}"`)
+    this.name = 'DataStreamError'
+    this.details = record
+  }
+}
@@ -0,0 +1,7 @@
+export class DeadLetterError extends Error {
+  constructor (message, details) {
+    super(message)
+    this.name = 'DeadLetterError'
+    this.details = details
+  }
+}
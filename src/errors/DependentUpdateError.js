@@ -0,0 +1,7 @@
+export class DependentUpdateError extends Error {
+  constructor (failures) {
+    super(`${failures.length} dependent update(s) failed`)
+    this.name = 'DependentUpdateError'
+    this.details = failures
+  }
+}
@@ -0,0 +1,7 @@
+export class EntityNotFoundError extends Error {
+  constructor (parsedRecord) {
+    super('No entity matches record')
+    this.name = 'EntityNotFoundError'
+    this.details = parsedRecord
+  }
+}
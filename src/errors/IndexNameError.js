@@ -0,0 +1,7 @@
+export class IndexNameError extends Error {
+  constructor (name, reason = 'not a valid index name') {
+    super(`Invalid index name "${name}": ${reason}`)
+    this.name = 'IndexNameError'
+    this.details = name
+  }
+}
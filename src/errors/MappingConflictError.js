@@ -0,0 +1,7 @@
+export class MappingConflictError extends Error {
+  constructor (path, types) {
+    super(`"${path}" has conflicting types: ${types.join(', ')}`)
+    this.name = 'MappingConflictError'
+    this.details = { path, types }
+  }
+}
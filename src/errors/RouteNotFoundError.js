@@ -0,0 +1,7 @@
+export class RouteNotFoundError extends Error {
+  constructor (record) {
+    super(`No route matches record from "${record.eventSourceARN}"`)
+    this.name = 'RouteNotFoundError'
+    this.details = record
+  }
+}
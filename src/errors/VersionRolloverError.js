@@ -0,0 +1,7 @@
+export class VersionRolloverError extends Error {
+  constructor (key, records) {
+    super(`Versions of "${key}" are out of sequence order: the sequence numbers roll over within the same second`)
+    this.name = 'VersionRolloverError'
+    this.details = records
+  }
+}
@@ -0,0 +1,56 @@
+import cloneDeep from 'lodash/cloneDeep.js'
+import get from 'lodash/get.js'
+import has from 'lodash/has.js'
+import set from 'lodash/set.js'
+import unset from 'lodash/unset.js'
+
+export const CONVERTERS = {
+  epochSecondsToIso: value => new Date(value * 1000).toISOString(),
+  epochMillisToIso: value => new Date(value).toISOString(),
+  lowercase: value => String(value).toLowerCase(),
+  uppercase: value => String(value).toUpperCase(),
+  trim: value => String(value).trim(),
+  string: value => String(value),
+  number: value => Number(value),
+  boolean: value => Boolean(value)
+}
+
+// Applies the steps in a fixed order: convert, geoPoints, computed, rename,
+// omit. Attributes that are missing from the document are left alone.
+export function applyFieldMap (doc, fieldMap, parsedRecord) {
+  const result = cloneDeep(doc)
+
+  Object.entries(fieldMap.convert || {}).forEach(([path, converter]) => {
+    if (has(result, path)) {
+      const convert = typeof converter === 'function' ? converter : CONVERTERS[converter]
+      set(result, path, convert(get(result, path)))
+    }
+  })
+
+  Object.entries(fieldMap.geoPoints || {}).forEach(([path, { lat, lon }]) => {
+    if (has(result, lat) && has(result, lon)) {
+      set(result, path, { lat: Number(get(result, lat)), lon: Number(get(result, lon)) })
+    }
+  })
+
+  Object.entries(fieldMap.computed || {}).forEach(([path, compute]) => {
+    const value = compute(result, parsedRecord.OldImage)
+    if (value !== undefined) {
+      set(result, path, value)
+    }
+  })
+
+  Object.entries(fieldMap.rename || {}).forEach(([from, to]) => {
+    if (has(result, from)) {
+      const value = get(result, from)
+      unset(result, from)
+      set(result, to, value)
+    }
+  })
+
+  if (fieldMap.omit) {
+    fieldMap.omit.forEach(path => unset(result, path))
+  }
+
+  return result
+}
@@ -0,0 +1,37 @@
+import castArray from 'lodash/castArray.js'
+import isEqual from 'lodash/isEqual.js'
+
+import { findField, getTableName } from './utils.js'
+
+// A record passes when it satisfies every criterion present in the filter
+export function matchesFilter (record, parsedRecord, filter) {
+  if (filter.tables && !castArray(filter.tables).includes(getTableName(record))) {
+    return false
+  }
+
+  if (filter.eventNames && !castArray(filter.eventNames).includes(record.eventName)) {
+    return false
+  }
+
+  if (filter.where) {
+    const matches = Object.entries(filter.where)
+      .every(([path, value]) => isEqual(findField(parsedRecord, path), value))
+    if (!matches) {
+      return false
+    }
+  }
+
+  if (filter.exists) {
+    const matches = castArray(filter.exists)
+      .every(path => findField(parsedRecord, path) !== undefined)
+    if (!matches) {
+      return false
+    }
+  }
+
+  if (filter.predicate) {
+    return Boolean(filter.predicate(parsedRecord, record))
+  }
+
+  return true
+}
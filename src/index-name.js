@@ -0,0 +1,79 @@
+import { FieldNotFoundError } from './errors/FieldNotFoundError.js'
+import { IndexNameError } from './errors/IndexNameError.js'
+import { findField, getEventTime, getTableName, toDate } from './utils.js'
+
+const PLACEHOLDER = /\{([^{}:]+)(?::([^{}]+))?\}/g
+const DATE_TOKENS = /YYYY|MM|DD|HH/g
+const MAX_INDEX_BYTES = 255
+
+export function isIndexTemplate (index) {
+  return /\{[^{}]+\}/.test(index)
+}
+
+function getSpecialValue (record, name) {
+  switch (name) {
+    case 'table':
+      return getTableName(record)
+    case 'eventName':
+      return record.eventName
+    case 'eventTime':
+      return getEventTime(record)
+    default:
+      return undefined
+  }
+}
+
+function formatDate (date, format) {
+  const parts = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: String(date.getUTCMonth() + 1).padStart(2, '0'),
+    DD: String(date.getUTCDate()).padStart(2, '0'),
+    HH: String(date.getUTCHours()).padStart(2, '0')
+  }
+  return format.replace(DATE_TOKENS, token => parts[token])
+}
+
+// Lowercases the name and replaces the characters Elasticsearch rejects in
+// index names, so a bad attribute value never fails the bulk item
+export function sanitizeIndexName (name) {
+  let sanitized = name
+    .toLowerCase()
+    .replace(/[\\/*?"<>| ,#:]/g, '_')
+    .replace(/^[-_+]+/, '')
+
+  while (Buffer.byteLength(sanitized) > MAX_INDEX_BYTES) {
+    sanitized = sanitized.slice(0, -1)
+  }
+
+  if (sanitized === '' || sanitized === '.' || sanitized === '..') {
+    throw new IndexNameError(name)
+  }
+
+  return sanitized
+}
+
+// Replaces {name} with the value of the attribute, or of table, eventName or
+// eventTime when the record has no such attribute, and {name:format} with
+// the value formatted as a UTC date using YYYY, MM, DD and HH
+export function renderIndexName (template, record, parsedRecord) {
+  const name = template.replace(PLACEHOLDER, (placeholder, field, format) => {
+    const attribute = findField(parsedRecord, field)
+    const value = attribute !== undefined ? attribute : getSpecialValue(record, field)
+
+    if (value === undefined || value === null) {
+      throw new FieldNotFoundError(parsedRecord, field)
+    }
+
+    if (format) {
+      const date = toDate(value)
+      if (!date) {
+        throw new IndexNameError(template, `"${field}" is not a date: ${value}`)
+      }
+      return formatDate(date, format)
+    }
+
+    return value instanceof Date ? value.toISOString() : String(value)
+  })
+
+  return sanitizeIndexName(name)
+}
@@ -1,55 +1,140 @@
-import retry from 'p-retry'
-
 import { HANDLER_OPTIONS, EVENT } from './schemas.js'
-import { validate } from './utils.js'
+import { getEarliestRecord, validate } from './utils.js'
 import { buildRequest } from './build-request.js'
+import { createBootstrap } from './bootstrap.js'
+import { sendRequest } from './send-request.js'
+import { sendDependentUpdates } from './dependents.js'
+import { BulkItemError } from './errors/BulkItemError.js'
+import { DependentUpdateError } from './errors/DependentUpdateError.js'
+
+export { fileDeadLetter } from './dead-letter/file.js'
+export { s3DeadLetter } from './dead-letter/s3.js'
+export { sqsDeadLetter } from './dead-letter/sqs.js'
+export { inferMapping } from './infer-mapping.js'
+
+// DynamoDB Streams retries everything from the reported sequence number on,
+// so only the earliest failed record needs to be reported
+function formatBatchResponse (records) {
+  const earliest = getEarliestRecord(records)
+  return {
+    batchItemFailures: earliest
+      ? [{ itemIdentifier: earliest.dynamodb.SequenceNumber }]
+      : []
+  }
+}
 
-const DEFAULT_RETRY_COUNT = 0
+function emptyResult () {
+  return {
+    took: 0,
+    errors: false,
+    items: []
+  }
+}
 
 export default (options = {}) => {
   validate(options, HANDLER_OPTIONS)
 
   const {
     elasticsearch: {
-      bulk: bulkOpts = {},
       client: esclient
     }
   } = options
 
+  const bootstrap = options.bootstrap && createBootstrap(esclient, options.bootstrap)
+
   async function handle (event, context) {
     try {
       if (options.beforeHook) {
         options.beforeHook(event, context)
       }
 
-      validate(event, EVENT, { allowUnknown: true })
+      validate(event, EVENT, {
+        allowUnknown: true,
+        context: { reportBatchItemFailures: Boolean(options.reportBatchItemFailures) }
+      })
 
-      const parsedEvent = buildRequest(event, context, options)
+      const parsedEvent = await buildRequest(event, context, options)
+      const failedRecords = []
 
-      if (parsedEvent.actions.length === 0) {
-        return {
-          took: 0,
-          errors: false,
-          items: []
+      if (options.deadLetter) {
+        if (parsedEvent.rejected.length > 0) {
+          await options.deadLetter.write(
+            parsedEvent.rejected.map(({ record, error }) => ({ record, error })),
+            'record'
+          )
         }
+      } else {
+        failedRecords.push(...parsedEvent.rejected
+          .filter(({ handled }) => !handled)
+          .map(({ record }) => record))
       }
 
-      const result = await retry(
-        () => {
-          return esclient.bulk({ ...bulkOpts, body: parsedEvent.actions })
-            .then(result => ({ result, meta: parsedEvent.meta }))
-        },
-        {
-          retries: DEFAULT_RETRY_COUNT,
-          ...options.retryOptions
+      if (parsedEvent.actions.length === 0 && parsedEvent.updates.length === 0) {
+        return options.reportBatchItemFailures
+          ? formatBatchResponse(failedRecords)
+          : emptyResult()
+      }
+
+      const entries = parsedEvent.meta.filter(entry => !entry.skipped)
+
+      if (bootstrap) {
+        await bootstrap.ensure(entries)
+      }
+
+      let { result, failures } = entries.length > 0
+        ? await sendRequest(esclient, entries, options)
+        : { result: emptyResult(), failures: [] }
+
+      // Retrying will not help permanent failures, so they are dead-lettered
+      // and only the retryable ones are left to fail the invocation
+      if (options.deadLetter) {
+        const permanent = failures.filter(({ retryable }) => !retryable)
+        if (permanent.length > 0) {
+          await options.deadLetter.write(
+            permanent.map(({ record, status, error }) => ({
+              record: parsedEvent.sources.get(record),
+              action: record.action,
+              document: record.document,
+              error: { status, ...error }
+            })),
+            'bulk'
+          )
+          failures = failures.filter(({ retryable }) => retryable)
+        }
+      }
+
+      if (failures.length > 0) {
+        const err = new BulkItemError(failures)
+        if (options.bulkItemErrorHook) {
+          await options.bulkItemErrorHook(event, context, err)
+        } else if (options.reportBatchItemFailures) {
+          failedRecords.push(...failures.map(({ record }) => record.event))
+        } else {
+          throw err
         }
-      )
+      }
+
+      // Dependents are updated once the documents they copy from are written
+      if (parsedEvent.updates.length > 0) {
+        const updateFailures = await sendDependentUpdates(esclient, parsedEvent.updates, options)
+        if (updateFailures.length > 0) {
+          if (options.reportBatchItemFailures) {
+            failedRecords.push(...updateFailures.map(({ record }) => record))
+          } else {
+            throw new DependentUpdateError(updateFailures)
+          }
+        }
+      }
+
+      const response = options.reportBatchItemFailures
+        ? formatBatchResponse(failedRecords)
+        : result
 
       if (options.afterHook) {
-        const hookResult = await options.afterHook(event, context, result.result, result.meta)
-        return hookResult !== undefined ? hookResult : result.result
+        const hookResult = await options.afterHook(event, context, result, parsedEvent.meta)
+        return hookResult !== undefined ? hookResult : response
       } else {
-        return result.result
+        return response
       }
     } catch (err) {
       if (options.errorHook) {
@@ -0,0 +1,191 @@
+import isEqual from 'lodash/isEqual.js'
+import isPlainObject from 'lodash/isPlainObject.js'
+import omit from 'lodash/omit.js'
+import pick from 'lodash/pick.js'
+import { NumberValueImpl as NumberValue } from '@aws-sdk/util-dynamodb'
+
+import { buildDoc } from './build-request.js'
+import { MappingConflictError } from './errors/MappingConflictError.js'
+import { toJSONValue, unmarshallImage } from './serialization.js'
+
+// Keeps the DynamoDB types apparent after unmarshalling: number sets and
+// string sets stay sets, binaries stay buffers and numbers keep their digits
+const TYPED = { sets: 'set', binary: 'buffer', wrapNumbers: true }
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/
+const TEXT = { type: 'text', fields: { keyword: { type: 'keyword', ignore_above: 256 } } }
+const STRING_TYPES = ['keyword', 'text', 'date']
+
+function getKind (mapping) {
+  return mapping.properties ? (mapping.type || 'object') : mapping.type
+}
+
+function mergeMappings (a, b, path) {
+  if (!a || !b) {
+    return a || b
+  }
+
+  if (a.properties && b.properties) {
+    const merged = { properties: mergeProperties(a.properties, b.properties, path) }
+    return a.type === 'nested' || b.type === 'nested' ? { type: 'nested', ...merged } : merged
+  }
+
+  const types = [getKind(a), getKind(b)]
+
+  if (types[0] === types[1]) {
+    return a
+  }
+
+  if (types.every(type => ['long', 'double'].includes(type))) {
+    return { type: 'double' }
+  }
+
+  if (types.every(type => STRING_TYPES.includes(type))) {
+    return types.includes('text') ? TEXT : { type: 'keyword' }
+  }
+
+  throw new MappingConflictError(path, types)
+}
+
+function mergeProperties (a, b, path) {
+  return Object.keys(b).reduce((acc, key) => {
+    const merged = mergeMappings(acc[key], b[key], path ? `${path}.${key}` : key)
+    if (merged) {
+      acc[key] = merged
+    }
+    return acc
+  }, { ...a })
+}
+
+function inferNumber (digits) {
+  return { type: /^-?\d+$/.test(digits) ? 'long' : 'double' }
+}
+
+function inferValues (values, path, geoPoints) {
+  return values.reduce((acc, value) => mergeMappings(acc, inferValue(value, path, geoPoints), path), null)
+}
+
+// Infers the type of a document value from its typed counterpart when the
+// value is that attribute unchanged, and from the value itself when fieldMap
+// converted or computed it
+function inferDocValue (value, typed, path, geoPoints) {
+  if (value === null || value === undefined) {
+    return null
+  }
+
+  if (geoPoints.includes(path)) {
+    return { type: 'geo_point' }
+  }
+
+  if (typed !== undefined && isEqual(toJSONValue(typed), value)) {
+    return inferValue(typed, path, geoPoints)
+  }
+
+  if (isPlainObject(value)) {
+    return {
+      properties: Object.entries(value).reduce((acc, [key, child]) => {
+        const childPath = path ? `${path}.${key}` : key
+        const mapping = inferDocValue(child, isPlainObject(typed) ? typed[key] : undefined, childPath, geoPoints)
+        if (mapping) {
+          acc[key] = mapping
+        }
+        return acc
+      }, {})
+    }
+  }
+
+  return inferValue(value, path, geoPoints)
+}
+
+function inferValue (value, path, geoPoints) {
+  if (value === null || value === undefined) {
+    return null
+  }
+
+  if (geoPoints.includes(path)) {
+    return { type: 'geo_point' }
+  }
+
+  if (value instanceof NumberValue || typeof value === 'number') {
+    return inferNumber(value.toString())
+  }
+
+  if (typeof value === 'bigint') {
+    return { type: 'long' }
+  }
+
+  if (typeof value === 'boolean') {
+    return { type: 'boolean' }
+  }
+
+  if (typeof value === 'string') {
+    if (ISO_DATE.test(value) && !Number.isNaN(Date.parse(value))) {
+      return { type: 'date' }
+    }
+    return /\s/.test(value) ? TEXT : { type: 'keyword' }
+  }
+
+  if (value instanceof Uint8Array) {
+    return { type: 'binary' }
+  }
+
+  if (value instanceof Set) {
+    return inferValues([...value], path, geoPoints)
+  }
+
+  if (Array.isArray(value)) {
+    const mapping = inferValues(value, path, geoPoints)
+    return mapping && mapping.properties ? { type: 'nested', ...mapping } : mapping
+  }
+
+  if (isPlainObject(value)) {
+    return {
+      properties: Object.entries(value).reduce((acc, [key, child]) => {
+        const childPath = path ? `${path}.${key}` : key
+        const mapping = inferValue(child, childPath, geoPoints)
+        if (mapping) {
+          acc[key] = mapping
+        }
+        return acc
+      }, {})
+    }
+  }
+
+  return null
+}
+
+function parseSample (sample, serialization) {
+  if (sample.dynamodb) {
+    const { NewImage, OldImage, Keys } = sample.dynamodb
+    return {
+      NewImage: unmarshallImage(NewImage || OldImage || {}, serialization),
+      OldImage: unmarshallImage(OldImage || {}, serialization),
+      Keys: unmarshallImage(Keys || {}, serialization)
+    }
+  }
+
+  return { NewImage: unmarshallImage(sample, serialization), OldImage: {}, Keys: {} }
+}
+
+// Infers an Elasticsearch mapping from marshalled DynamoDB items or stream
+// records, after applying the pickFields, stripFields and fieldMap options of
+// the handler. Lookups and transformRecordHook are not applied, since they
+// need live data.
+export async function inferMapping (samples, options = {}) {
+  const geoPoints = Object.keys((options.fieldMap && options.fieldMap.geoPoints) || {})
+  const docOptions = omit(options, ['joins', 'transformRecordHook'])
+  // fieldMap functions get the values the handler gives them, so only the
+  // attributes moved or removed by fieldMap are kept typed
+  const typedOptions = {
+    ...docOptions,
+    fieldMap: options.fieldMap && pick(options.fieldMap, ['rename', 'omit'])
+  }
+
+  let mapping = { properties: {} }
+  for (const sample of samples) {
+    const doc = await buildDoc(parseSample(sample, options.serialization), docOptions)
+    const typed = await buildDoc(parseSample(sample, TYPED), typedOptions)
+    mapping = mergeMappings(mapping, inferDocValue(toJSONValue(doc || {}), typed, '', geoPoints), '')
+  }
+
+  return mapping
+}
@@ -0,0 +1,95 @@
+import castArray from 'lodash/castArray.js'
+import chunk from 'lodash/chunk.js'
+import cloneDeep from 'lodash/cloneDeep.js'
+import get from 'lodash/get.js'
+import pick from 'lodash/pick.js'
+import set from 'lodash/set.js'
+
+// BatchGetItem accepts at most 100 keys per request
+const DEFAULT_BATCH_SIZE = 100
+
+function getJoinValues (image, join) {
+  const value = get(image, join.from)
+  return value === undefined || value === null
+    ? []
+    : castArray(value)
+}
+
+function getCacheKey (join) {
+  return `${join.table}/${join.key}`
+}
+
+// Items are looked up once per distinct key for the whole invocation: keys
+// collected up front are fetched together by load(), and keys missed by the
+// collection are fetched on first use
+export function createLookupLoader ({ getItems, batchSize = DEFAULT_BATCH_SIZE }) {
+  const cache = new Map()
+  const pending = new Map()
+
+  function getCache (join) {
+    const cacheKey = getCacheKey(join)
+    if (!cache.has(cacheKey)) {
+      cache.set(cacheKey, new Map())
+    }
+    return cache.get(cacheKey)
+  }
+
+  function collect (image, joins) {
+    joins.forEach(join => {
+      const cached = getCache(join)
+      const cacheKey = getCacheKey(join)
+      getJoinValues(image, join)
+        .filter(value => !cached.has(value))
+        .forEach(value => {
+          if (!pending.has(cacheKey)) {
+            pending.set(cacheKey, { join, values: new Set() })
+          }
+          pending.get(cacheKey).values.add(value)
+        })
+    })
+  }
+
+  async function load () {
+    const groups = [...pending.values()]
+    pending.clear()
+
+    for (const { join, values } of groups) {
+      const cached = getCache(join)
+      for (const batch of chunk([...values], batchSize)) {
+        const items = await getItems(join.table, batch.map(value => ({ [join.key]: value })))
+        batch.forEach(value => cached.set(value, null))
+        ;(items || []).forEach(item => cached.set(item[join.key], item))
+      }
+    }
+  }
+
+  async function resolve (doc, image, joins) {
+    const missing = joins.some(join => {
+      const cached = getCache(join)
+      return getJoinValues(image, join).some(value => !cached.has(value))
+    })
+
+    if (missing) {
+      collect(image, joins)
+      await load()
+    }
+
+    return joins.reduce((acc, join) => {
+      const value = get(image, join.from)
+      if (value === undefined || value === null) {
+        return acc
+      }
+
+      const cached = getCache(join)
+      const project = item => join.fields ? pick(item, join.fields) : item
+      const joined = Array.isArray(value)
+        ? value.map(v => cached.get(v)).filter(Boolean).map(project)
+        : (cached.get(value) ? project(cached.get(value)) : null)
+
+      set(acc, join.as, joined)
+      return acc
+    }, cloneDeep(doc))
+  }
+
+  return { collect, load, resolve }
+}
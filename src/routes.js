@@ -0,0 +1,61 @@
+import omit from 'lodash/omit.js'
+
+import { RouteNotFoundError } from './errors/RouteNotFoundError.js'
+import { getTableName } from './utils.js'
+
+// Options that replace each other: setting one of a group in a route drops
+// the whole group inherited from the handler options
+const EXCLUSIVE_GROUPS = [
+  ['index', 'indexField', 'indexPrefix'],
+  ['idField', 'idResolver'],
+  ['versionField', 'versionResolver', 'versionFrom'],
+  ['seqNoField', 'primaryTermField'],
+  ['type', 'typeField'],
+  ['routingField', 'routingResolver', 'parentField'],
+  ['pipeline', 'pipelineField']
+]
+
+export function mergeMapping (options, mapping) {
+  const replaced = EXCLUSIVE_GROUPS
+    .filter(group => group.some(key => mapping[key] !== undefined))
+    .flat()
+
+  return { ...omit(options, replaced), ...mapping }
+}
+
+export function normalizeRoutes (routes) {
+  return Array.isArray(routes)
+    ? routes
+    : Object.entries(routes).map(([table, route]) => ({ ...route, table }))
+}
+
+export function resolveRoute (record, parsedRecord, options) {
+  if (!options.routes) {
+    return options
+  }
+
+  const table = getTableName(record)
+  const route = normalizeRoutes(options.routes).find(route => {
+    return route.match
+      ? route.match(record, parsedRecord)
+      : route.table === table
+  })
+
+  if (!route) {
+    throw new RouteNotFoundError(record)
+  }
+
+  return mergeMapping(omit(options, 'routes'), omit(route, ['table', 'match']))
+}
+
+export function resolveTargets (options) {
+  if (!options.targets) {
+    return [{ options }]
+  }
+
+  const base = omit(options, 'targets')
+  return options.targets.map((target, i) => ({
+    options: mergeMapping(base, target),
+    target: i
+  }))
+}
@@ -1,7 +1,56 @@
 import joi from 'joi'
 
+import { CONVERTERS } from './field-map.js'
+
 const FIELD = joi.string().min(1)
 
+const FILTER_SCHEMA = joi.object({
+  tables: [FIELD, joi.array().min(1).items(FIELD)],
+  eventNames: [
+    joi.string().valid('INSERT', 'MODIFY', 'REMOVE'),
+    joi.array().min(1).items(joi.string().valid('INSERT', 'MODIFY', 'REMOVE'))
+  ],
+  where: joi.object(),
+  exists: [FIELD, joi.array().min(1).items(FIELD)],
+  predicate: joi.func()
+})
+
+const FIELD_MAP_SCHEMA = joi.object({
+  rename: joi.object().pattern(FIELD, FIELD),
+  omit: joi.array().items(FIELD),
+  convert: joi.object().pattern(FIELD, [
+    joi.string().valid(...Object.keys(CONVERTERS)),
+    joi.func()
+  ]),
+  geoPoints: joi.object().pattern(FIELD, joi.object({
+    lat: FIELD.required(),
+    lon: FIELD.required()
+  })),
+  computed: joi.object().pattern(FIELD, joi.func())
+})
+
+const JOIN_SCHEMA = joi.object({
+  from: FIELD.required(),
+  table: FIELD.required(),
+  key: FIELD.required(),
+  fields: joi.array().min(1).items(FIELD),
+  as: FIELD.required()
+})
+
+const DEPENDENT_SCHEMA = joi.object({
+  index: FIELD.required(),
+  field: FIELD.required(),
+  key: FIELD.required(),
+  fields: joi.object().pattern(FIELD, FIELD).min(1).required(),
+  watch: [FIELD, joi.array().min(1).items(FIELD)]
+})
+
+// Dependents can be set anywhere in the options, but need the client's update by query
+const DEPENDENTS = joi.array().min(1).items(DEPENDENT_SCHEMA).when('/elasticsearch.client.updateByQuery', {
+  not: joi.func().required(),
+  then: joi.forbidden().messages({ 'any.unknown': '{{#label}} requires "elasticsearch.client.updateByQuery"' })
+})
+
 const ELASTICSEARCH_SCHEMA = joi.object({
   // One would expect to use .type(elasticsearch.Client) here, but it doesn't work.
   // Maybe it's because Client is a function than a class? So, we will settle for
@@ -14,34 +63,179 @@ const ELASTICSEARCH_SCHEMA = joi.object({
   }).optional().unknown()
 }).unknown()
 
-export const HANDLER_OPTIONS = joi
-  .object({
+// Options describing how records map to documents, which can also be set per route
+const MAPPING_KEYS = {
+  transformRecordHook: joi.func(),
+  separator: joi.string().allow(''),
+  idField: [FIELD, joi.array().min(1).items(FIELD)],
+  idResolver: joi.func(),
+  index: joi.string().min(1),
+  indexField: [FIELD, joi.array().min(1).items(FIELD)],
+  indexPrefix: joi.string().allow(''),
+  type: joi.string().min(1),
+  typeField: [FIELD, joi.array().min(1).items(FIELD)],
+  parentField: FIELD,
+  routingField: [FIELD, joi.array().min(1).items(FIELD)],
+  routingResolver: joi.func(),
+  pipeline: FIELD,
+  pipelineField: FIELD,
+  pickFields: [FIELD, joi.array().min(1).items(FIELD)],
+  stripFields: joi.array().items(FIELD),
+  fieldMap: FIELD_MAP_SCHEMA,
+  // Joins can be set anywhere in the options, but need the handler's lookup client
+  joins: joi.array().min(1).items(JOIN_SCHEMA).when('/lookup', {
+    not: joi.exist(),
+    then: joi.forbidden().messages({ 'any.unknown': '{{#label}} requires "lookup"' })
+  }),
+  versionField: FIELD,
+  versionResolver: joi.func(),
+  versionFrom: joi.string().valid('sequenceNumber', 'approximateCreationDateTime'),
+  versionType: joi.string().valid('external', 'external_gte'),
+  seqNoField: FIELD,
+  primaryTermField: FIELD,
+  updateMode: joi.string().valid('index', 'update', 'upsert', 'diff'),
+  diffRemoved: joi.string().valid('null', 'script'),
+  ttlMode: joi.string().valid('delete', 'skip', 'expire'),
+  expiredField: FIELD,
+  removeMode: joi.string().valid('delete', 'soft'),
+  deletedField: FIELD,
+  deletedAtField: FIELD,
+  dataStream: [
+    joi.boolean(),
+    joi.object({
+      timestampField: FIELD,
+      onModify: joi.string().valid('append', 'skip', 'reject'),
+      onRemove: joi.string().valid('append', 'skip', 'reject')
+    })
+  ]
+}
+
+const DEDUPE_UPDATE_MODE = joi.object({
+  updateMode: joi.any().invalid('diff').messages({
+    'any.invalid': '{{#label}} cannot be "diff" with "dedupe"',
+    'any.only': '{{#label}} cannot be "diff" with "dedupe"'
+  })
+})
+
+function withMappingRules (schema, indexRule) {
+  return schema
+    .oxor('idField', 'idResolver')
+    .oxor('versionField', 'versionResolver')[indexRule]('index', 'indexField')
+    .without('versionFrom', ['versionField', 'versionResolver'])
+    .and('seqNoField', 'primaryTermField')
+    .without('seqNoField', ['versionField', 'versionResolver', 'versionFrom'])
+    .oxor('type', 'typeField')
+    .oxor('routingField', 'routingResolver', 'parentField')
+    .oxor('pipeline', 'pipelineField')
+    .without('index', 'indexPrefix')
+    .with('indexPrefix', 'indexField')
+    .with('diffRemoved', 'updateMode')
+    .with('expiredField', 'ttlMode')
+    .with('deletedField', 'removeMode')
+    .with('deletedAtField', 'removeMode')
+    // Data streams only accept create operations, with internal versioning
+    .when(joi.object({ dataStream: joi.any().invalid(false).required() }).unknown(), {
+      then: joi.object().without('dataStream', ['versionField', 'versionResolver', 'versionFrom', 'updateMode', 'removeMode', 'ttlMode'])
+    })
+    // Collapsed changes would be lost, since only the last one is diffed
+    .when('/dedupe', { is: true, then: DEDUPE_UPDATE_MODE })
+    // The bulk update operation does not support external versioning
+    .when(joi.object({ updateMode: joi.valid('update', 'upsert', 'diff').required() }).unknown(), {
+      then: joi.object().without('updateMode', ['versionField', 'versionResolver', 'versionFrom'])
+    })
+}
+
+// Index options are only required where routes or targets do not provide them
+function withIndexRules (schema, providers) {
+  return schema.when(joi.object().or(...providers).unknown(), {
+    then: withMappingRules(joi.object(), 'oxor'),
+    otherwise: withMappingRules(joi.object(), 'xor')
+  })
+}
+
+const TARGET_SCHEMA = withMappingRules(joi.object(MAPPING_KEYS), 'xor')
+
+const ENTITY_SCHEMA = withIndexRules(
+  joi.object({
+    ...MAPPING_KEYS,
+    targets: joi.array().min(1).items(TARGET_SCHEMA),
+    dependents: DEPENDENTS,
+    name: FIELD,
+    field: FIELD.required(),
+    prefix: FIELD,
+    pattern: [FIELD, joi.object().instance(RegExp)],
+    idGroups: [FIELD, joi.array().min(1).items(FIELD)]
+  }).xor('prefix', 'pattern'),
+  ['targets']
+)
+
+const ROUTE_KEYS = {
+  ...MAPPING_KEYS,
+  targets: joi.array().min(1).items(TARGET_SCHEMA),
+  entities: joi.array().min(1).items(ENTITY_SCHEMA),
+  dependents: DEPENDENTS
+}
+
+const ROUTE_SCHEMA = withIndexRules(joi.object(ROUTE_KEYS), ['targets', 'entities'])
+
+const ROUTES_SCHEMA = joi.alternatives().conditional(joi.array(), {
+  then: joi.array().min(1).items(
+    ROUTE_SCHEMA
+      .keys({
+        table: FIELD,
+        match: joi.func()
+      })
+      .xor('table', 'match')
+  ),
+  otherwise: joi.object().pattern(FIELD, ROUTE_SCHEMA).min(1)
+})
+
+export const HANDLER_OPTIONS = withIndexRules(
+  joi.object({
     elasticsearch: ELASTICSEARCH_SCHEMA.required(),
     beforeHook: joi.func(),
     afterHook: joi.func(),
     recordErrorHook: joi.func(),
+    bulkItemErrorHook: joi.func(),
     errorHook: joi.func(),
-    transformRecordHook: joi.func(),
-    separator: joi.string().allow(''),
-    idField: [FIELD, joi.array().min(1).items(FIELD)],
-    idResolver: joi.func(),
-    index: joi.string().min(1),
-    indexField: [FIELD, joi.array().min(1).items(FIELD)],
-    indexPrefix: joi.string().allow(''),
-    type: joi.string().min(1),
-    typeField: [FIELD, joi.array().min(1).items(FIELD)],
-    parentField: FIELD,
-    pickFields: [FIELD, joi.array().min(1).items(FIELD)],
-    versionField: FIELD,
-    versionResolver: joi.func(),
-    retryOptions: joi.object()
-  })
-  .oxor('idField', 'idResolver')
-  .oxor('versionField', 'versionResolver')
-  .xor('index', 'indexField')
-  .oxor('type', 'typeField')
-  .without('index', 'indexPrefix')
-  .with('indexPrefix', 'indexField')
+    ...ROUTE_KEYS,
+    routes: ROUTES_SCHEMA,
+    retryOptions: joi.object(),
+    itemRetryOptions: joi.object(),
+    maxBulkActions: joi.number().integer().min(1),
+    maxBulkBytes: joi.number().integer().min(1),
+    bulkConcurrency: joi.number().integer().min(1),
+    dependentConcurrency: joi.number().integer().min(1),
+    conflictPolicy: joi.string().valid('report', 'ignore', 'retry'),
+    recordConcurrency: joi.number().integer().min(1),
+    dedupe: joi.boolean(),
+    serialization: joi.object({
+      sets: joi.string().valid('array', 'set'),
+      binary: joi.string().valid('base64', 'buffer'),
+      bigNumbers: joi.string().valid('string', 'bigint'),
+      wrapNumbers: joi.boolean()
+    }),
+    filter: FILTER_SCHEMA,
+    bootstrap: joi.object({
+      templates: joi.array().min(1).items(joi.object({
+        name: FIELD.required(),
+        body: joi.object().required()
+      })),
+      index: [joi.object(), joi.func()]
+    }).or('templates', 'index'),
+    lookup: joi.object({
+      getItems: joi.func().required(),
+      batchSize: joi.number().integer().min(1).max(100)
+    }),
+    reportBatchItemFailures: joi.boolean(),
+    deadLetter: joi.object({
+      write: joi.func().required()
+    }).unknown()
+  }),
+  ['routes', 'targets', 'entities']
+)
+  // Root references do not resolve on the root itself
+  .when(joi.object({ dedupe: joi.valid(true).required() }).unknown(), { then: DEDUPE_UPDATE_MODE })
   .label('options')
 
 export const EVENT = joi.object({
@@ -49,6 +243,10 @@ export const EVENT = joi.object({
     eventName: joi.string().required(),
     dynamodb: joi.object({
       Keys: joi.object().required(),
+      SequenceNumber: joi.string().pattern(/^\d+$/).when('$reportBatchItemFailures', {
+        is: true,
+        then: joi.required()
+      }),
       NewImage: joi.object(),
       OldImage: joi.object()
     }).required()
@@ -56,3 +254,7 @@ export const EVENT = joi.object({
 })
 
 export const VERSION = joi.number().min(0)
+
+export const TIMESTAMP = joi.alternatives(joi.number().min(0), joi.string().isoDate())
+
+export const SEQ_NO = joi.number().integer().min(0)
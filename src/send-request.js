@@ -0,0 +1,149 @@
+import retry, { AbortError } from 'p-retry'
+
+import { buildBody } from './build-request.js'
+import { collectFailures, collectItemFailures, getResponseBody } from './bulk-result.js'
+import { BulkItemError } from './errors/BulkItemError.js'
+import { mapConcurrent } from './utils.js'
+
+const DEFAULT_RETRY_COUNT = 0
+const DEFAULT_CONCURRENCY = 1
+
+function sendBulk (esclient, meta, options) {
+  const { bulk: bulkOpts = {} } = options.elasticsearch
+
+  return retry(
+    () => esclient.bulk({ ...bulkOpts, body: buildBody(meta) }),
+    {
+      retries: DEFAULT_RETRY_COUNT,
+      ...options.retryOptions
+    }
+  )
+}
+
+function mergeResults (results, items, failureCount) {
+  const [first] = results
+  const body = {
+    ...getResponseBody(first),
+    took: results.reduce((acc, result) => acc + ((getResponseBody(result) || {}).took || 0), 0),
+    errors: failureCount > 0,
+    items
+  }
+  return first && first.body !== undefined ? { ...first, body } : body
+}
+
+function getEntrySize (entry) {
+  return buildBody([entry])
+    .reduce((acc, line) => acc + Buffer.byteLength(JSON.stringify(line)) + 1, 0)
+}
+
+// Splits meta into consecutive chunks of at most maxBulkActions entries whose
+// NDJSON body stays within maxBulkBytes. An entry larger than maxBulkBytes is
+// sent on its own.
+export function chunkMeta (meta, options) {
+  const {
+    maxBulkActions = Infinity,
+    maxBulkBytes = Infinity
+  } = options
+
+  const chunks = []
+  let current = []
+  let currentSize = 0
+
+  meta.forEach(entry => {
+    const size = maxBulkBytes === Infinity ? 0 : getEntrySize(entry)
+
+    if (current.length > 0 && (current.length >= maxBulkActions || currentSize + size > maxBulkBytes)) {
+      chunks.push(current)
+      current = []
+      currentSize = 0
+    }
+
+    current.push(entry)
+    currentSize += size
+  })
+
+  if (current.length > 0) {
+    chunks.push(current)
+  }
+
+  return chunks
+}
+
+// Sends the bulk request, then re-sends only the items that failed with a
+// retryable error until they succeed or itemRetryOptions gives up
+async function sendChunk (esclient, meta, options) {
+  const positions = new Map(meta.map((entry, i) => [entry, i]))
+  const attempts = meta.map(() => 0)
+  const items = []
+  const results = []
+  let pending = meta
+
+  try {
+    await retry(
+      async () => {
+        let result
+        try {
+          result = await sendBulk(esclient, pending, options)
+        } catch (err) {
+          // Request-level errors are retried by retryOptions, not here
+          throw new AbortError(err)
+        }
+
+        results.push(result)
+        pending.forEach(entry => { attempts[positions.get(entry)]++ })
+
+        const body = getResponseBody(result)
+        if (body && Array.isArray(body.items)) {
+          body.items.forEach((item, i) => {
+            items[positions.get(pending[i])] = item
+          })
+        }
+
+        const retryable = collectFailures(result, pending, options).filter(failure => failure.retryable)
+        if (retryable.length > 0) {
+          pending = retryable.map(failure => failure.record)
+          throw new BulkItemError(retryable)
+        }
+      },
+      {
+        retries: DEFAULT_RETRY_COUNT,
+        ...options.itemRetryOptions
+      }
+    )
+  } catch (err) {
+    if (!(err instanceof BulkItemError)) {
+      throw err
+    }
+  }
+
+  const failures = collectItemFailures(items, meta, options)
+    .map(failure => ({ ...failure, attempts: attempts[positions.get(failure.record)] }))
+
+  return { results, items, failures }
+}
+
+export async function sendRequest (esclient, meta, options) {
+  const chunks = chunkMeta(meta, options)
+
+  const outcomes = await mapConcurrent(
+    chunks,
+    options.bulkConcurrency || DEFAULT_CONCURRENCY,
+    chunk => sendChunk(esclient, chunk, options)
+  )
+
+  const results = outcomes.flatMap(outcome => outcome.results)
+  const failures = outcomes.flatMap(outcome => outcome.failures)
+  const items = []
+  let offset = 0
+  outcomes.forEach((outcome, i) => {
+    outcome.items.forEach((item, j) => { items[offset + j] = item })
+    offset += chunks[i].length
+  })
+
+  return {
+    result: results.length === 1
+      ? results[0]
+      : mergeResults(results, items, failures.length),
+    failures
+  }
+}
@@ -0,0 +1,115 @@
+import isPlainObject from 'lodash/isPlainObject.js'
+import mapValues from 'lodash/mapValues.js'
+import { NumberValueImpl as NumberValue, unmarshall } from '@aws-sdk/util-dynamodb'
+
+function toBase64 (value) {
+  return typeof value === 'string'
+    ? value
+    : Buffer.from(value).toString('base64')
+}
+
+function toBuffer (value) {
+  return typeof value === 'string'
+    ? Buffer.from(value, 'base64')
+    : Buffer.from(value)
+}
+
+// Stream records carry binary attributes as base64 strings, which become
+// indistinguishable from strings once unmarshalled, so they are converted
+// while the attribute types are still known
+function convertBinaries (attribute, binary) {
+  if (attribute.B !== undefined) {
+    return binary === 'base64'
+      ? { S: toBase64(attribute.B) }
+      : { B: toBuffer(attribute.B) }
+  }
+
+  if (attribute.BS !== undefined) {
+    return binary === 'base64'
+      ? { SS: attribute.BS.map(toBase64) }
+      : { BS: attribute.BS.map(toBuffer) }
+  }
+
+  if (attribute.M !== undefined) {
+    return { M: mapValues(attribute.M, value => convertBinaries(value, binary)) }
+  }
+
+  if (attribute.L !== undefined) {
+    return { L: attribute.L.map(value => convertBinaries(value, binary)) }
+  }
+
+  return attribute
+}
+
+function convertNumber (value, bigNumbers) {
+  const num = Number(value.toString())
+
+  if (num > Number.MAX_SAFE_INTEGER || num < Number.MIN_SAFE_INTEGER) {
+    return bigNumbers === 'bigint'
+      ? BigInt(value.toString())
+      : value.toString()
+  }
+
+  return num
+}
+
+function convertValue (value, options) {
+  if (value instanceof NumberValue) {
+    return options.wrapNumbers
+      ? value
+      : convertNumber(value, options.bigNumbers)
+  }
+
+  if (value instanceof Set) {
+    const items = [...value].map(item => convertValue(item, options))
+    return options.sets === 'set' ? new Set(items) : items
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => convertValue(item, options))
+  }
+
+  if (isPlainObject(value)) {
+    return mapValues(value, item => convertValue(item, options))
+  }
+
+  return value
+}
+
+// Converts the values left by the serialization options back to values that
+// serialize to JSON, so they can go into the bulk request body as is
+export function toJSONValue (value) {
+  if (value instanceof NumberValue || typeof value === 'bigint') {
+    return convertNumber(value, 'string')
+  }
+
+  if (value instanceof Uint8Array) {
+    return toBase64(value)
+  }
+
+  if (value instanceof Set || Array.isArray(value)) {
+    return [...value].map(toJSONValue)
+  }
+
+  if (isPlainObject(value)) {
+    return mapValues(value, toJSONValue)
+  }
+
+  return value
+}
+
+export function unmarshallImage (image, options = {}) {
+  const {
+    sets = 'array',
+    binary = 'base64',
+    bigNumbers = 'string',
+    wrapNumbers = false
+  } = options
+
+  const { M: converted } = convertBinaries({ M: image }, binary)
+
+  return convertValue(
+    unmarshall(converted, { wrapNumbers: true }),
+    { sets, bigNumbers, wrapNumbers }
+  )
+}
@@ -1,8 +1,8 @@
 import get from 'lodash/get.js'
-import { unmarshall } from '@aws-sdk/util-dynamodb'
 
 import { FieldNotFoundError } from './errors/FieldNotFoundError.js'
 import { ValidationError } from './errors/ValidationError.js'
+import { unmarshallImage } from './serialization.js'
 
 export function validate (value, schema, options) {
   const validationResult = schema.validate(
@@ -22,13 +22,17 @@ export function validate (value, schema, options) {
   return validationResult.value
 }
 
-export function getField (parsedRecord, path) {
-  const value = [parsedRecord.Keys, parsedRecord.NewImage, parsedRecord.OldImage]
+export function findField (parsedRecord, path) {
+  return [parsedRecord.Keys, parsedRecord.NewImage, parsedRecord.OldImage]
     .reduce((acc, entry) => {
       return acc === undefined
         ? get(entry, path)
         : acc
     }, undefined)
+}
+
+export function getField (parsedRecord, path) {
+  const value = findField(parsedRecord, path)
 
   if (value === undefined) {
     throw new FieldNotFoundError(parsedRecord, path)
@@ -44,10 +48,88 @@ export function assembleField (parsedRecord, paths, separator) {
   return getField(parsedRecord, paths)
 }
 
-export function parseRecord (record) {
-  return unmarshall({
-    NewImage: { M: record.dynamodb.NewImage || {} },
-    OldImage: { M: record.dynamodb.OldImage || {} },
-    Keys: { M: record.dynamodb.Keys }
-  })
+export function parseRecord (record, serialization) {
+  return {
+    NewImage: unmarshallImage(record.dynamodb.NewImage || {}, serialization),
+    OldImage: unmarshallImage(record.dynamodb.OldImage || {}, serialization),
+    Keys: unmarshallImage(record.dynamodb.Keys, serialization)
+  }
+}
+
+export function compareSequenceNumbers (a, b) {
+  const diff = BigInt(a) - BigInt(b)
+  return diff === 0n ? 0 : (diff > 0n ? 1 : -1)
+}
+
+export function getEarliestRecord (records) {
+  return records.reduce((acc, record) => {
+    return !acc || compareSequenceNumbers(record.dynamodb.SequenceNumber, acc.dynamodb.SequenceNumber) < 0
+      ? record
+      : acc
+  }, undefined)
+}
+
+// Maps items with at most `concurrency` calls of fn in flight, preserving order
+export async function mapConcurrent (items, concurrency, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  async function worker () {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await fn(items[i], i)
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  )
+
+  return results
+}
+
+// Items deleted by DynamoDB TTL are removed by the DynamoDB service itself
+export function isTtlExpiration (record) {
+  return Boolean(
+    record.userIdentity &&
+    record.userIdentity.type === 'Service' &&
+    record.userIdentity.principalId === 'dynamodb.amazonaws.com'
+  )
+}
+
+export function getEventTime (record) {
+  const { ApproximateCreationDateTime: time } = record.dynamodb
+
+  if (time === undefined) {
+    return new Date()
+  }
+
+  return new Date(
+    record.dynamodb.ApproximateCreationDateTimePrecision === 'MILLISECOND'
+      ? time
+      : time * 1000
+  )
+}
+
+// Epoch values below this are taken as seconds, above as milliseconds
+const MAX_EPOCH_SECONDS = 1e11
+
+// Parses ISO 8601 strings and epoch seconds or milliseconds, returning null
+// for anything else
+export function toDate (value) {
+  if (value instanceof Date) {
+    return value
+  }
+
+  const date = typeof value === 'number'
+    ? new Date(value < MAX_EPOCH_SECONDS ? value * 1000 : value)
+    : new Date(value)
+
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+// arn:aws:dynamodb:<region>:<account>:table/<table>/stream/<label>
+export function getTableName (record) {
+  const match = /:table\/([^/]+)/.exec(record.eventSourceARN || '')
+  return match ? match[1] : undefined
 }
@@ -1,16 +1,29 @@
 /* eslint-env mocha */
 
+import { readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
 import { expect, use } from 'chai'
 import chaiSubset from 'chai-subset'
 import { Client } from '@elastic/elasticsearch'
+import { NumberValueImpl as NumberValue } from '@aws-sdk/util-dynamodb'
 import lambdaTester from 'lambda-tester'
 import sinon from 'sinon'
 import { v4 as uuidv4 } from 'uuid'
 
-import lambdaHandler from '../src/index.js'
+import lambdaHandler, { fileDeadLetter, inferMapping, s3DeadLetter, sqsDeadLetter } from '../src/index.js'
+import { BulkItemError } from '../src/errors/BulkItemError.js'
+import { DependentUpdateError } from '../src/errors/DependentUpdateError.js'
+import { DataStreamError } from '../src/errors/DataStreamError.js'
+import { DeadLetterError } from '../src/errors/DeadLetterError.js'
+import { EntityNotFoundError } from '../src/errors/EntityNotFoundError.js'
 import { FieldNotFoundError } from '../src/errors/FieldNotFoundError.js'
+import { IndexNameError } from '../src/errors/IndexNameError.js'
+import { MappingConflictError } from '../src/errors/MappingConflictError.js'
+import { RouteNotFoundError } from '../src/errors/RouteNotFoundError.js'
 import { UnknownEventNameError } from '../src/errors/UnknownEventNameError.js'
 import { ValidationError } from '../src/errors/ValidationError.js'
+import { VersionRolloverError } from '../src/errors/VersionRolloverError.js'
 import formatEvent from './utils/ddb-stream-event-formatter.js'
 
 use(chaiSubset)
@@ -19,6 +32,35 @@ function formatErrorMessage (messages) {
   return messages.join('. ')
 }
 
+function formatBulkResult (items) {
+  return {
+    took: 1,
+    errors: items.some(item => Object.values(item)[0].error),
+    items
+  }
+}
+
+// Runs the handler with the "index" index and the given options, expecting a
+// single bulk request with the given body
+function expectBulkBody (options, testEvent, expectedBody) {
+  const client = new Client({ node: 'https://foo' })
+
+  const handler = lambdaHandler({
+    elasticsearch: { client },
+    index: 'index',
+    ...options
+  })
+
+  const mock = sinon.mock(client).expects('bulk')
+    .once()
+    .withExactArgs({ body: expectedBody })
+    .resolves()
+
+  return lambdaTester(handler)
+    .event(testEvent)
+    .expectResult(() => mock.verify())
+}
+
 describe('handler', function () {
   before(function () {
     lambdaTester.checkForResourceLeak(true)
@@ -911,7 +953,7 @@ describe('handler', function () {
   })
 
   describe('parentField', function () {
-    it('should use "parentField" when provided', function () {
+    it('should use "parentField" as "routing" when provided', function () {
       const testField = uuidv4()
       const testEvent = formatEvent({
         name: 'INSERT',
@@ -933,7 +975,7 @@ describe('handler', function () {
       const mock = sinon.mock(client).expects('bulk')
         .once()
         .withExactArgs(sinon.match(value => {
-          return expect(value).to.have.nested.property('body[0].index.parent', testField)
+          return expect(value).to.have.nested.property('body[0].index.routing', testField)
         }))
         .resolves()
 
@@ -1135,7 +1177,7 @@ describe('handler', function () {
         .withExactArgs(sinon.match(value => {
           return expect(value).to.containSubset({
             body: [
-              { index: { version: testDoc.field2, versionType: 'external' } }
+              { index: { version: testDoc.field2, version_type: 'external' } }
             ]
           })
         }))
@@ -1174,7 +1216,7 @@ describe('handler', function () {
         .withExactArgs(sinon.match(value => {
           return expect(value).to.containSubset({
             body: [
-              { index: { version: 3, versionType: 'external' } }
+              { index: { version: 3, version_type: 'external' } }
             ]
           })
         }))
@@ -1212,7 +1254,7 @@ describe('handler', function () {
         .withExactArgs(sinon.match(value => {
           return expect(value).to.containSubset({
             body: [
-              { index: { version: testDoc.field2, versionType: 'external' } }
+              { index: { version: testDoc.field2, version_type: 'external' } }
             ]
           })
         }))
@@ -1223,7 +1265,7 @@ describe('handler', function () {
         .expectResult(() => mock.verify())
     })
 
-    it('should not set "version" and "versionType" fields when neither "versionField" nor "versionResolver" is provided', function () {
+    it('should not set "version" and "version_type" fields when neither "versionField" nor "versionResolver" is provided', function () {
       const testDoc = {
         field1: uuidv4()
       }
@@ -1247,7 +1289,7 @@ describe('handler', function () {
         .once()
         .withExactArgs(sinon.match(value => {
           return expect(value).to.have.nested.property('body[0].index')
-            .that.not.have.any.keys('version', 'versionType')
+            .that.not.have.any.keys('version', 'version_type')
         }))
         .resolves()
 
@@ -1361,7 +1403,7 @@ describe('handler', function () {
         .withExactArgs(sinon.match(value => {
           return expect(value).to.containSubset({
             body: [
-              { delete: { version: testDoc.field2 + 1, versionType: 'external' } }
+              { delete: { version: testDoc.field2 + 1, version_type: 'external' } }
             ]
           })
         }))
@@ -1812,4 +1854,3435 @@ describe('handler', function () {
         })
     })
   })
+
+  describe('bulk item errors', function () {
+    it('should throw BulkItemError with classified failures when bulk response has errors', function () {
+      const testKeys = [{ id: uuidv4() }, { id: uuidv4() }, { id: uuidv4() }, { id: uuidv4() }]
+      const testEvent = formatEvent(testKeys.map(keys => ({ name: 'INSERT', keys })))
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index'
+      })
+
+      sinon.stub(client, 'bulk').resolves(formatBulkResult([
+        { index: { _id: testKeys[0].id, status: 201 } },
+        { index: { _id: testKeys[1].id, status: 429, error: { type: 'es_rejected_execution_exception' } } },
+        { index: { _id: testKeys[2].id, status: 409, error: { type: 'version_conflict_engine_exception' } } },
+        { index: { _id: testKeys[3].id, status: 400, error: { type: 'mapper_parsing_exception' } } }
+      ]))
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.an.instanceOf(BulkItemError)
+          expect(err.details).to.have.lengthOf(3)
+          expect(err.details).to.containSubset([
+            {
+              record: { action: { index: { _id: testKeys[1].id } } },
+              operation: 'index',
+              status: 429,
+              kind: 'rejected',
+              retryable: true
+            },
+            {
+              record: { action: { index: { _id: testKeys[2].id } } },
+              status: 409,
+              kind: 'conflict',
+              retryable: false
+            },
+            {
+              record: { action: { index: { _id: testKeys[3].id } } },
+              status: 400,
+              kind: 'mapping',
+              retryable: false
+            }
+          ])
+        })
+    })
+
+    it('should inspect responses wrapped in "body"', function () {
+      const testEvent = formatEvent()
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index'
+      })
+
+      sinon.stub(client, 'bulk').resolves({
+        body: formatBulkResult([
+          { index: { status: 503, error: { type: 'unavailable_shards_exception' } } }
+        ])
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.an.instanceOf(BulkItemError)
+          expect(err.details).to.containSubset([{ status: 503, retryable: true }])
+        })
+    })
+
+    it('should call "bulkItemErrorHook" when provided and should not throw', function () {
+      let hookCalled = false
+      const testEvent = formatEvent()
+      const testResult = formatBulkResult([
+        { index: { status: 400, error: { type: 'mapper_parsing_exception' } } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        bulkItemErrorHook: (event, context, err) => {
+          hookCalled = true
+          expect(event).to.deep.equal(testEvent)
+          expect(context).to.exist.and.to.have.property('awsRequestId')
+          expect(err).to.be.an.instanceOf(BulkItemError)
+            .with.property('details').that.has.lengthOf(1)
+        },
+        index: 'index'
+      })
+
+      sinon.stub(client, 'bulk').resolves(testResult)
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(hookCalled).to.be.equal(true)
+          expect(result).to.deep.equal(testResult)
+        })
+    })
+  })
+
+  describe('reportBatchItemFailures', function () {
+    const sequenceNumbers = [
+      '111100000000000000000000001',
+      '111100000000000000000000002',
+      '111100000000000000000000010'
+    ]
+
+    it('should report the earliest sequence number of failed bulk items', function () {
+      const testEvent = formatEvent(sequenceNumbers.map(sequenceNumber => ({ sequenceNumber })))
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        reportBatchItemFailures: true
+      })
+
+      sinon.stub(client, 'bulk').resolves({
+        errors: true,
+        items: [
+          { index: { status: 201 } },
+          { index: { status: 429, error: { type: 'es_rejected_execution_exception' } } },
+          { index: { status: 400, error: { type: 'mapper_parsing_exception' } } }
+        ]
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(result).to.deep.equal({
+            batchItemFailures: [{ itemIdentifier: sequenceNumbers[1] }]
+          })
+        })
+    })
+
+    it('should report records rejected while building the request', function () {
+      const testEvent = formatEvent([
+        { sequenceNumber: sequenceNumbers[0], new: { idx: 'foo' } },
+        { sequenceNumber: sequenceNumbers[1] },
+        { sequenceNumber: sequenceNumbers[2], new: { idx: 'bar' } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        indexField: 'idx',
+        reportBatchItemFailures: true
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves({
+        errors: true,
+        items: [
+          { index: { status: 201 } },
+          { index: { status: 400, error: { type: 'mapper_parsing_exception' } } }
+        ]
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(stub.calledOnce).to.be.equal(true)
+          expect(result).to.deep.equal({
+            batchItemFailures: [{ itemIdentifier: sequenceNumbers[1] }]
+          })
+        })
+    })
+
+    it('should report no failures when all items succeeded', function () {
+      const testEvent = formatEvent({ sequenceNumber: sequenceNumbers[0] })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        reportBatchItemFailures: true
+      })
+
+      sinon.stub(client, 'bulk').resolves({ errors: false, items: [{ index: { status: 201 } }] })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(result).to.deep.equal({ batchItemFailures: [] })
+        })
+    })
+
+    it('should throw when records have no "SequenceNumber"', function () {
+      const testEvent = formatEvent()
+
+      const handler = lambdaHandler({
+        elasticsearch: {
+          client: new Client({ node: 'https://foo' })
+        },
+        index: 'index',
+        reportBatchItemFailures: true
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.an.instanceOf(ValidationError)
+            .with.property('message', '"Records[0].dynamodb.SequenceNumber" is required')
+        })
+    })
+  })
+
+  describe('itemRetryOptions', function () {
+    const rejectedItem = { index: { status: 429, error: { type: 'es_rejected_execution_exception' } } }
+    const invalidItem = { index: { status: 400, error: { type: 'mapper_parsing_exception' } } }
+
+    it('should re-send only the retryable failed items', function () {
+      const testDocs = [{ id: uuidv4() }, { id: uuidv4() }, { id: uuidv4() }]
+      const testEvent = formatEvent(testDocs.map(keys => ({ keys })))
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        itemRetryOptions: { retries: 2, minTimeout: 0 }
+      })
+
+      const stub = sinon.stub(client, 'bulk')
+      stub.onFirstCall().resolves({
+        took: 2,
+        errors: true,
+        items: [{ index: { status: 201 } }, rejectedItem, { index: { status: 201 } }]
+      })
+      stub.onSecondCall().resolves({
+        took: 1,
+        errors: false,
+        items: [{ index: { status: 201 } }]
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(stub.callCount).to.be.equal(2)
+          expect(stub.secondCall.args[0].body).to.deep.equal([
+            { index: { _index: 'index', _id: testDocs[1].id } },
+            testDocs[1]
+          ])
+          expect(result).to.deep.equal({
+            took: 3,
+            errors: false,
+            items: [{ index: { status: 201 } }, { index: { status: 201 } }, { index: { status: 201 } }]
+          })
+        })
+    })
+
+    it('should not re-send items that failed permanently', function () {
+      const testEvent = formatEvent([{}, {}])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        itemRetryOptions: { retries: 2, minTimeout: 0 }
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves({
+        took: 1,
+        errors: true,
+        items: [{ index: { status: 201 } }, invalidItem]
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(stub.calledOnce).to.be.equal(true)
+          expect(err).to.be.an.instanceOf(BulkItemError)
+          expect(err.details).to.containSubset([{ kind: 'mapping', attempts: 1 }])
+        })
+    })
+
+    it('should report the items that remained failed when retries are exhausted', function () {
+      const testKeys = [{ id: uuidv4() }, { id: uuidv4() }]
+      const testEvent = formatEvent(testKeys.map(keys => ({ keys })))
+      const retryCount = 2
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        itemRetryOptions: { retries: retryCount, minTimeout: 0 }
+      })
+
+      const stub = sinon.stub(client, 'bulk')
+      stub.onFirstCall().resolves({
+        took: 1,
+        errors: true,
+        items: [invalidItem, rejectedItem]
+      })
+      stub.resolves({ took: 1, errors: true, items: [rejectedItem] })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(stub.callCount).to.be.equal(retryCount + 1)
+          expect(err).to.be.an.instanceOf(BulkItemError)
+          expect(err.details).to.have.lengthOf(2)
+          expect(err.details).to.containSubset([
+            { record: { document: testKeys[0] }, kind: 'mapping', attempts: 1 },
+            { record: { document: testKeys[1] }, kind: 'rejected', attempts: retryCount + 1 }
+          ])
+        })
+    })
+  })
+
+  describe('deadLetter', function () {
+    const testDeadLetter = {
+      record: { eventName: 'INSERT' },
+      action: { index: { _index: 'index' } },
+      document: { id: 'foo' },
+      error: new FieldNotFoundError({}, 'bar')
+    }
+
+    it('should dead-letter records rejected while building the request', function () {
+      let hookCalled = false
+      const testEvent = formatEvent([{ new: { idx: 'foo' } }, {}])
+      const deadLetter = { write: sinon.stub().resolves() }
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        recordErrorHook: () => {
+          hookCalled = true
+        },
+        indexField: 'idx',
+        deadLetter
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hookCalled).to.be.equal(true)
+          expect(stub.calledOnce).to.be.equal(true)
+          expect(deadLetter.write.calledOnce).to.be.equal(true)
+          const [records, reason] = deadLetter.write.firstCall.args
+          expect(reason).to.be.equal('record')
+          expect(records).to.have.lengthOf(1)
+          expect(records[0].record).to.deep.equal(testEvent.Records[1])
+          expect(records[0].error).to.be.an.instanceOf(FieldNotFoundError)
+        })
+    })
+
+    it('should dead-letter items permanently rejected by Elasticsearch', function () {
+      const testKeys = [{ id: uuidv4() }, { id: uuidv4() }]
+      const testEvent = formatEvent(testKeys.map(keys => ({ keys })))
+      const deadLetter = { write: sinon.stub().resolves() }
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        deadLetter
+      })
+
+      sinon.stub(client, 'bulk').resolves({
+        took: 1,
+        errors: true,
+        items: [
+          { index: { status: 400, error: { type: 'mapper_parsing_exception', reason: 'failed to parse' } } },
+          { index: { status: 429, error: { type: 'es_rejected_execution_exception' } } }
+        ]
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.an.instanceOf(BulkItemError)
+          expect(err.details).to.have.lengthOf(1)
+            .and.to.containSubset([{ kind: 'rejected' }])
+          expect(deadLetter.write.calledOnce).to.be.equal(true)
+          expect(deadLetter.write.firstCall.args).to.deep.equal([
+            [{
+              record: testEvent.Records[0],
+              action: { index: { _index: 'index', _id: testKeys[0].id } },
+              document: testKeys[0],
+              error: { status: 400, type: 'mapper_parsing_exception', reason: 'failed to parse' }
+            }],
+            'bulk'
+          ])
+        })
+    })
+
+    it('should append records to a JSONL file with "fileDeadLetter"', async function () {
+      const path = join(tmpdir(), `dead-letter-${uuidv4()}.jsonl`)
+      const deadLetter = fileDeadLetter({ path })
+
+      try {
+        await deadLetter.write([testDeadLetter], 'record')
+        await deadLetter.write([testDeadLetter], 'bulk')
+
+        const lines = (await readFile(path, 'utf8')).trim().split('\n').map(line => JSON.parse(line))
+        expect(lines).to.have.lengthOf(2)
+        expect(lines[0]).to.deep.equal({
+          reason: 'record',
+          record: testDeadLetter.record,
+          action: testDeadLetter.action,
+          document: testDeadLetter.document,
+          error: {
+            name: 'FieldNotFoundError',
+            message: '"bar" field not found in record',
+            details: {}
+          }
+        })
+        expect(lines[1]).to.have.property('reason', 'bulk')
+      } finally {
+        await rm(path, { force: true })
+      }
+    })
+
+    it('should send records in batches of 10 with "sqsDeadLetter"', async function () {
+      const sent = []
+      const client = {
+        sendMessageBatch: async params => {
+          sent.push(params)
+          return { Successful: params.Entries, Failed: [] }
+        }
+      }
+      const deadLetter = sqsDeadLetter({ client, queueUrl: 'https://queue' })
+
+      await deadLetter.write(new Array(12).fill(testDeadLetter), 'bulk')
+
+      expect(sent).to.have.lengthOf(2)
+      expect(sent[0].QueueUrl).to.be.equal('https://queue')
+      expect(sent[0].Entries).to.have.lengthOf(10)
+      expect(sent[1].Entries).to.have.lengthOf(2)
+      expect(JSON.parse(sent[1].Entries[0].MessageBody))
+        .to.containSubset({ reason: 'bulk', document: testDeadLetter.document })
+    })
+
+    it('should throw when "sqsDeadLetter" fails to send messages', async function () {
+      const client = {
+        sendMessageBatch: async () => ({ Failed: [{ Id: '0', Code: 'InternalError' }] })
+      }
+      const deadLetter = sqsDeadLetter({ client, queueUrl: 'https://queue' })
+
+      const err = await deadLetter.write([testDeadLetter], 'bulk').catch(err => err)
+
+      expect(err).to.be.an.instanceOf(DeadLetterError)
+        .with.property('details').that.deep.equals([{ Id: '0', Code: 'InternalError' }])
+    })
+
+    it('should put a JSONL object with "s3DeadLetter"', async function () {
+      const objects = []
+      const client = {
+        putObject: async params => {
+          objects.push(params)
+        }
+      }
+      const deadLetter = s3DeadLetter({ client, bucket: 'bucket', prefix: 'failed/' })
+
+      await deadLetter.write([testDeadLetter, testDeadLetter], 'record')
+
+      expect(objects).to.have.lengthOf(1)
+      expect(objects[0].Bucket).to.be.equal('bucket')
+      expect(objects[0].Key).to.match(/^failed\/.+-record-.+\.jsonl$/)
+      expect(objects[0].Body.trim().split('\n')).to.have.lengthOf(2)
+    })
+  })
+
+  describe('bulk request splitting', function () {
+    function respond (params) {
+      return {
+        took: 1,
+        errors: false,
+        items: params.body
+          .filter(line => line.index)
+          .map(line => ({ index: { _id: line.index._id, status: 201 } }))
+      }
+    }
+
+    it('should split actions into several bulk requests with "maxBulkActions"', function () {
+      let hookCalled = false
+      const testKeys = [1, 2, 3, 4, 5].map(() => ({ id: uuidv4() }))
+      const testEvent = formatEvent(testKeys.map(keys => ({ keys })))
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        maxBulkActions: 2,
+        afterHook: (event, context, result, meta) => {
+          hookCalled = true
+          expect(meta).to.have.lengthOf(5)
+          expect(result).to.deep.equal({
+            took: 3,
+            errors: false,
+            items: testKeys.map(({ id }) => ({ index: { _id: id, status: 201 } }))
+          })
+        }
+      })
+
+      const stub = sinon.stub(client, 'bulk').callsFake(async params => respond(params))
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hookCalled).to.be.equal(true)
+          expect(stub.callCount).to.be.equal(3)
+          expect(stub.args.map(([params]) => params.body.length)).to.deep.equal([4, 4, 2])
+          expect(stub.thirdCall.args[0].body[1]).to.deep.equal(testKeys[4])
+        })
+    })
+
+    it('should split actions into several bulk requests with "maxBulkBytes"', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { data: 'x'.repeat(100) } },
+        { keys: { id: 'b' }, new: { data: 'x'.repeat(100) } },
+        { keys: { id: 'c' }, new: { data: 'x'.repeat(10) } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        maxBulkBytes: 250
+      })
+
+      const stub = sinon.stub(client, 'bulk').callsFake(async params => respond(params))
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(stub.args.map(([params]) => params.body.map(line => line.id).filter(Boolean)))
+            .to.deep.equal([['a'], ['b', 'c']])
+          expect(result.items).to.have.lengthOf(3)
+        })
+    })
+
+    it('should preserve the order of results with "bulkConcurrency"', function () {
+      const testKeys = [1, 2, 3].map(() => ({ id: uuidv4() }))
+      const testEvent = formatEvent(testKeys.map(keys => ({ keys })))
+      let inFlight = 0
+      let maxInFlight = 0
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        maxBulkActions: 1,
+        bulkConcurrency: 2
+      })
+
+      sinon.stub(client, 'bulk').callsFake(async params => {
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        // Make the first request finish last
+        const delay = params.body[0].index._id === testKeys[0].id ? 20 : 1
+        await new Promise(resolve => setTimeout(resolve, delay))
+        inFlight--
+        return respond(params)
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(maxInFlight).to.be.equal(2)
+          expect(result.items.map(item => item.index._id))
+            .to.deep.equal(testKeys.map(({ id }) => id))
+        })
+    })
+
+    it('should correlate failed items with their records across bulk requests', function () {
+      const testKeys = [{ id: uuidv4() }, { id: uuidv4() }]
+      const testEvent = formatEvent(testKeys.map(keys => ({ keys })))
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        maxBulkActions: 1
+      })
+
+      const stub = sinon.stub(client, 'bulk')
+      stub.onFirstCall().resolves({ took: 1, errors: false, items: [{ index: { status: 201 } }] })
+      stub.onSecondCall().resolves({
+        took: 1,
+        errors: true,
+        items: [{ index: { status: 400, error: { type: 'mapper_parsing_exception' } } }]
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.an.instanceOf(BulkItemError)
+          expect(err.details).to.have.lengthOf(1)
+            .and.to.containSubset([{ record: { document: testKeys[1] } }])
+        })
+    })
+  })
+
+  describe('dedupe', function () {
+    it('should fail validation when combined with "updateMode" "diff"', function () {
+      const client = new Client({ node: 'https://foo' })
+
+      expect(() => lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        dedupe: true,
+        updateMode: 'diff'
+      })).to.throw(ValidationError, '"updateMode" cannot be "diff" with "dedupe"')
+
+      expect(() => lambdaHandler({
+        elasticsearch: { client },
+        dedupe: true,
+        routes: { Orders: { index: 'orders', updateMode: 'diff' } }
+      })).to.throw(ValidationError, '"routes.Orders.updateMode" cannot be "diff" with "dedupe"')
+    })
+
+    it('should upsert a partial update that supersedes the insert of the document', function () {
+      const testKeys = { id: uuidv4() }
+      const otherKeys = { id: uuidv4() }
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: testKeys, new: { v: 1 } },
+        { name: 'MODIFY', keys: otherKeys, new: { v: 1 } },
+        { name: 'MODIFY', keys: testKeys, new: { v: 2 } }
+      ])
+
+      return expectBulkBody({ dedupe: true, updateMode: 'update' }, testEvent, [
+        { update: { _index: 'index', _id: otherKeys.id } },
+        { doc: { ...otherKeys, v: 1 } },
+        { update: { _index: 'index', _id: testKeys.id } },
+        { doc: { ...testKeys, v: 2 }, doc_as_upsert: true }
+      ])
+    })
+
+    it('should only send the last operation per document', function () {
+      let hookCalled = false
+      const testKeys = { id: uuidv4() }
+      const otherKeys = { id: uuidv4() }
+      const testEvent = formatEvent([
+        { name: 'MODIFY', keys: testKeys, new: { v: 1 } },
+        { name: 'INSERT', keys: otherKeys },
+        { name: 'MODIFY', keys: testKeys, new: { v: 2 } },
+        { name: 'REMOVE', keys: testKeys }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        dedupe: true,
+        afterHook: (event, context, result, meta) => {
+          hookCalled = true
+          expect(meta.map(entry => entry.skipped))
+            .to.deep.equal(['collapsed', undefined, 'collapsed', undefined])
+        }
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: otherKeys.id } },
+            otherKeys,
+            { delete: { _index: 'index', _id: testKeys.id } }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hookCalled).to.be.equal(true)
+          mock.verify()
+        })
+    })
+
+    it('should order changes by "SequenceNumber"', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent([
+        { name: 'MODIFY', keys: testKeys, new: { v: 2 }, sequenceNumber: '200000000000000000002' },
+        { name: 'MODIFY', keys: testKeys, new: { v: 1 }, sequenceNumber: '200000000000000000001' }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        dedupe: true
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: testKeys.id } },
+            { ...testKeys, v: 2 }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should not collapse changes of the same key in different indexes', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent([
+        { keys: testKeys, new: { idx: 'foo' } },
+        { keys: testKeys, new: { idx: 'bar' } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        indexField: 'idx',
+        dedupe: true
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body).to.have.lengthOf(4)
+        })
+    })
+  })
+
+  describe('updateMode', function () {
+    it('should send "update" for "MODIFY" event when "updateMode" is "update"', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent({ name: 'MODIFY', keys: testKeys, new: { a: 1 } })
+
+      return expectBulkBody({ updateMode: 'update' }, testEvent, [
+        { update: { _index: 'index', _id: testKeys.id } },
+        { doc: { ...testKeys, a: 1 } }
+      ])
+    })
+
+    it('should send "update" with "doc_as_upsert" when "updateMode" is "upsert"', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent({ name: 'MODIFY', keys: testKeys, new: { a: 1 } })
+
+      return expectBulkBody({ updateMode: 'upsert' }, testEvent, [
+        { update: { _index: 'index', _id: testKeys.id } },
+        { doc: { ...testKeys, a: 1 }, doc_as_upsert: true }
+      ])
+    })
+
+    it('should keep sending "index" for "INSERT" event', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent({ name: 'INSERT', keys: testKeys })
+
+      return expectBulkBody({ updateMode: 'upsert' }, testEvent, [
+        { index: { _index: 'index', _id: testKeys.id } },
+        testKeys
+      ])
+    })
+
+    it('should send only changed attributes and nulls for removed ones when "updateMode" is "diff"', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: testKeys,
+        old: { a: 1, b: { c: 1 }, d: 'removed', e: 'same' },
+        new: { a: 2, b: { c: 2 }, e: 'same' }
+      })
+
+      return expectBulkBody({ updateMode: 'diff' }, testEvent, [
+        { update: { _index: 'index', _id: testKeys.id } },
+        {
+          doc: { a: 2, b: { c: 2 }, d: null },
+          upsert: { ...testKeys, a: 2, b: { c: 2 }, e: 'same' }
+        }
+      ])
+    })
+
+    it('should remove attributes with a script when "diffRemoved" is "script"', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: testKeys,
+        old: { a: 1, d: 'removed' },
+        new: { a: 2 }
+      })
+
+      return expectBulkBody({ updateMode: 'diff', diffRemoved: 'script' }, testEvent, [
+        { update: { _index: 'index', _id: testKeys.id } },
+        {
+          script: {
+            lang: 'painless',
+            source: sinon.match.string,
+            params: { doc: { a: 2 }, remove: ['d'] }
+          },
+          upsert: { ...testKeys, a: 2 }
+        }
+      ])
+    })
+
+    it('should skip "MODIFY" event without changes when "updateMode" is "diff"', function () {
+      let hookCalled = false
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        old: { a: 1, ignored: 1 },
+        new: { a: 1, ignored: 2 }
+      })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        pickFields: 'a',
+        updateMode: 'diff',
+        afterHook: () => {
+          hookCalled = true
+        }
+      })
+
+      const mock = sinon.mock(client).expects('bulk').never()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hookCalled).to.be.equal(false)
+          mock.verify()
+        })
+    })
+
+    it('should diff the old image transformed by "transformRecordHook" when "updateMode" is "diff"', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent([
+        { name: 'MODIFY', keys: testKeys, old: { name: 'A' }, new: { name: 'B' } },
+        { name: 'MODIFY', keys: { id: uuidv4() }, old: { name: 'C' }, new: { name: 'C' } }
+      ])
+
+      return expectBulkBody({
+        updateMode: 'diff',
+        transformRecordHook: ({ name, ...doc }) => ({ ...doc, title: name, source: 'stream' })
+      }, testEvent, [
+        { update: { _index: 'index', _id: testKeys.id } },
+        { doc: { title: 'B' }, upsert: { ...testKeys, title: 'B', source: 'stream' } }
+      ])
+    })
+
+    it('should throw when "updateMode" is combined with external versioning', function () {
+      const testOptions = {
+        elasticsearch: {
+          client: new Client({ node: 'https://foo' })
+        },
+        index: 'index',
+        updateMode: 'update',
+        versionField: 'v'
+      }
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(ValidationError)
+        .with.property('message', '"updateMode" conflict with forbidden peer "versionField"')
+    })
+  })
+
+  describe('ttlMode', function () {
+    const testTime = 1760000000
+
+    it('should delete expired items by default', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent({ name: 'REMOVE', keys: testKeys, ttl: true })
+
+      return expectBulkBody({}, testEvent, [
+        { delete: { _index: 'index', _id: testKeys.id } }
+      ])
+    })
+
+    it('should skip expired items when "ttlMode" is "skip"', function () {
+      const testKeys = [{ id: uuidv4() }, { id: uuidv4() }]
+      const testEvent = formatEvent([
+        { name: 'REMOVE', keys: testKeys[0], ttl: true },
+        { name: 'REMOVE', keys: testKeys[1] }
+      ])
+
+      return expectBulkBody({ ttlMode: 'skip' }, testEvent, [
+        { delete: { _index: 'index', _id: testKeys[1].id } }
+      ])
+    })
+
+    it('should mark expired items when "ttlMode" is "expire"', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent({ name: 'REMOVE', keys: testKeys, old: { a: 1 }, ttl: true, time: testTime })
+      const testFields = { expired_at: new Date(testTime * 1000).toISOString() }
+
+      return expectBulkBody({ ttlMode: 'expire', expiredField: 'expired_at' }, testEvent, [
+        { update: { _index: 'index', _id: testKeys.id } },
+        { doc: testFields, upsert: { ...testKeys, a: 1, ...testFields } }
+      ])
+    })
+
+    it('should reindex the old image of versioned expired items when "ttlMode" is "expire"', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent({ name: 'REMOVE', keys: testKeys, old: { v: 3 }, ttl: true, time: testTime })
+
+      return expectBulkBody({ ttlMode: 'expire', versionField: 'v' }, testEvent, [
+        { index: { _index: 'index', _id: testKeys.id, version: 4, version_type: 'external' } },
+        { ...testKeys, v: 3, expiredAt: new Date(testTime * 1000).toISOString() }
+      ])
+    })
+  })
+
+  describe('removeMode', function () {
+    const testTime = 1760000000
+    const testDate = new Date(testTime * 1000).toISOString()
+
+    it('should mark the document as deleted when "removeMode" is "soft"', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent({ name: 'REMOVE', keys: testKeys, old: { a: 1 }, time: testTime })
+
+      return expectBulkBody({ removeMode: 'soft' }, testEvent, [
+        { update: { _index: 'index', _id: testKeys.id } },
+        {
+          doc: { deleted: true, deletedAt: testDate },
+          upsert: { ...testKeys, a: 1, deleted: true, deletedAt: testDate }
+        }
+      ])
+    })
+
+    it('should use custom tombstone fields', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent({ name: 'REMOVE', keys: testKeys, time: testTime })
+
+      return expectBulkBody({
+        removeMode: 'soft',
+        deletedField: 'is_deleted',
+        deletedAtField: 'removed_at'
+      }, testEvent, [
+        { update: { _index: 'index', _id: testKeys.id } },
+        {
+          doc: { is_deleted: true, removed_at: testDate },
+          upsert: { ...testKeys, is_deleted: true, removed_at: testDate }
+        }
+      ])
+    })
+
+    it('should reindex the old image with the incremented version when versioning is configured', function () {
+      const testKeys = { id: uuidv4() }
+      const testEvent = formatEvent({ name: 'REMOVE', keys: testKeys, old: { v: 7 }, time: testTime })
+
+      return expectBulkBody({
+        removeMode: 'soft',
+        versionField: 'v',
+        pickFields: ['id', 'v']
+      }, testEvent, [
+        { index: { _index: 'index', _id: testKeys.id, version: 8, version_type: 'external' } },
+        { ...testKeys, v: 7, deleted: true, deletedAt: testDate }
+      ])
+    })
+
+    it('should throw when tombstone fields are passed without "removeMode"', function () {
+      const testOptions = {
+        elasticsearch: {
+          client: new Client({ node: 'https://foo' })
+        },
+        index: 'index',
+        deletedField: 'is_deleted'
+      }
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(ValidationError)
+        .with.property('message', '"deletedField" missing required peer "removeMode"')
+    })
+  })
+
+  describe('filter', function () {
+    function expectFiltered (count) {
+      return (event, context, result, meta) => {
+        expect(meta.filter(entry => entry.skipped === 'filtered')).to.have.lengthOf(count)
+      }
+    }
+
+    it('should filter records by table name', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, table: 'Orders' },
+        { keys: { id: 'b' }, table: 'Customers' },
+        { keys: { id: 'c' }, table: 'Products' }
+      ])
+
+      return expectBulkBody({
+        filter: { tables: ['Orders', 'Products'] },
+        afterHook: expectFiltered(1)
+      }, testEvent, [
+        { index: { _index: 'index', _id: 'a' } },
+        { id: 'a' },
+        { index: { _index: 'index', _id: 'c' } },
+        { id: 'c' }
+      ])
+    })
+
+    it('should filter records by event name', function () {
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: { id: 'a' } },
+        { name: 'MODIFY', keys: { id: 'b' } }
+      ])
+
+      return expectBulkBody({
+        filter: { eventNames: 'MODIFY' },
+        afterHook: expectFiltered(1)
+      }, testEvent, [
+        { index: { _index: 'index', _id: 'b' } },
+        { id: 'b' }
+      ])
+    })
+
+    it('should filter records by attribute equality and existence', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { type: 'order', nested: { flag: true } } },
+        { keys: { id: 'b' }, new: { type: 'order' } },
+        { keys: { id: 'c' }, new: { type: 'customer', nested: { flag: true } } }
+      ])
+
+      return expectBulkBody({
+        filter: { where: { type: 'order' }, exists: 'nested.flag' },
+        afterHook: expectFiltered(2)
+      }, testEvent, [
+        { index: { _index: 'index', _id: 'a' } },
+        { id: 'a', type: 'order', nested: { flag: true } }
+      ])
+    })
+
+    it('should filter records with a custom predicate', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { n: 1 } },
+        { keys: { id: 'b' }, new: { n: 2 } }
+      ])
+
+      return expectBulkBody({
+        filter: {
+          predicate: (parsedRecord, record) => {
+            expect(record).to.have.property('eventName', 'INSERT')
+            return parsedRecord.NewImage.n > 1
+          }
+        },
+        afterHook: expectFiltered(1)
+      }, testEvent, [
+        { index: { _index: 'index', _id: 'b' } },
+        { id: 'b', n: 2 }
+      ])
+    })
+
+    it('should throw when filter options are invalid', function () {
+      const testOptions = {
+        elasticsearch: {
+          client: new Client({ node: 'https://foo' })
+        },
+        index: 'index',
+        filter: {
+          eventNames: 'CREATE',
+          predicate: true
+        }
+      }
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(ValidationError)
+        .with.property('message', formatErrorMessage([
+          '"filter.eventNames" must be one of [INSERT, MODIFY, REMOVE, array]',
+          '"filter.predicate" must be of type function'
+        ]))
+    })
+  })
+
+  describe('routes', function () {
+    it('should route records by table name', function () {
+      const testEvent = formatEvent([
+        { keys: { orderId: 'o1' }, new: { total: 10, internal: true }, table: 'Orders' },
+        { keys: { pk: 'c1' }, new: { name: 'Jane' }, table: 'Customers' }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        routes: {
+          Orders: {
+            index: 'orders',
+            idField: 'orderId',
+            pickFields: ['orderId', 'total']
+          },
+          Customers: {
+            indexField: 'name',
+            indexPrefix: 'customers-',
+            transformRecordHook: doc => ({ fullName: doc.name })
+          }
+        }
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'orders', _id: 'o1' } },
+            { orderId: 'o1', total: 10 },
+            { index: { _index: 'customers-Jane', _id: 'c1' } },
+            { fullName: 'Jane' }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should route records with a matcher function and inherit handler options', function () {
+      const testEvent = formatEvent([
+        { name: 'MODIFY', keys: { id: 'a' }, new: { kind: 'x' } },
+        { name: 'MODIFY', keys: { id: 'b' }, new: { kind: 'y' } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'default',
+        updateMode: 'update',
+        routes: [
+          { match: (record, parsedRecord) => parsedRecord.NewImage.kind === 'x', index: 'x' },
+          { match: () => true, index: 'other', updateMode: 'index' }
+        ]
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { update: { _index: 'x', _id: 'a' } },
+            { doc: { id: 'a', kind: 'x' } },
+            { index: { _index: 'other', _id: 'b' } },
+            { id: 'b', kind: 'y' }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should replace inherited index options with the route ones', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { idx: 'foo' }, table: 'Orders' })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'default',
+        routes: [{ table: 'Orders', indexField: 'idx' }]
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [{ index: { _index: 'foo', _id: 'a' } }, { id: 'a', idx: 'foo' }]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should reject records that match no route', function () {
+      let hookCalled = false
+      const testEvent = formatEvent({ table: 'Unknown' })
+
+      const handler = lambdaHandler({
+        elasticsearch: {
+          client: new Client({ node: 'https://foo' })
+        },
+        routes: { Orders: { index: 'orders' } },
+        recordErrorHook: (event, context, err) => {
+          hookCalled = true
+          expect(err).to.be.an.instanceOf(RouteNotFoundError)
+        }
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hookCalled).to.be.equal(true)
+        })
+    })
+
+    it('should throw when routes are invalid', function () {
+      const testOptions = {
+        elasticsearch: {
+          client: new Client({ node: 'https://foo' })
+        },
+        routes: [
+          { table: 'Orders', match: () => true, index: 'orders' },
+          { table: 'Customers', idField: 'id' }
+        ]
+      }
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(ValidationError)
+        .with.property('message', formatErrorMessage([
+          '"routes[0]" contains a conflict between exclusive peers [table, match]',
+          '"routes[1]" must contain at least one of [index, indexField]'
+        ]))
+    })
+  })
+
+  describe('targets', function () {
+    const testOrder = { orderId: 'o1', customerId: 'c1', total: 10 }
+    const testTargets = [
+      { index: 'orders', idField: 'orderId' },
+      {
+        index: 'customer-activity',
+        idResolver: doc => `${doc.customerId}-${doc.orderId}`,
+        transformRecordHook: doc => ({ customerId: doc.customerId, orderId: doc.orderId, lastOrderTotal: doc.total })
+      }
+    ]
+
+    it('should build one action per target', function () {
+      let hookCalled = false
+      const testEvent = formatEvent({ keys: { orderId: testOrder.orderId }, new: testOrder })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: testTargets,
+        afterHook: (event, context, result, meta) => {
+          hookCalled = true
+          expect(meta.map(entry => entry.target)).to.deep.equal([0, 1])
+        }
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'orders', _id: 'o1' } },
+            testOrder,
+            { index: { _index: 'customer-activity', _id: 'c1-o1' } },
+            { customerId: 'c1', orderId: 'o1', lastOrderTotal: 10 }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hookCalled).to.be.equal(true)
+          mock.verify()
+        })
+    })
+
+    it('should report failures per target', function () {
+      const testEvent = formatEvent({ keys: { orderId: testOrder.orderId }, new: testOrder })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: testTargets
+      })
+
+      sinon.stub(client, 'bulk').resolves({
+        took: 1,
+        errors: true,
+        items: [
+          { index: { status: 201 } },
+          { index: { status: 400, error: { type: 'mapper_parsing_exception' } } }
+        ]
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.an.instanceOf(BulkItemError)
+          expect(err.details).to.have.lengthOf(1)
+          expect(err.details[0].record).to.containSubset({
+            target: 1,
+            action: { index: { _index: 'customer-activity' } }
+          })
+        })
+    })
+
+    it('should support targets in routes', function () {
+      const testEvent = formatEvent({ name: 'REMOVE', keys: { id: 'a' }, table: 'Orders' })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        routes: {
+          Orders: {
+            targets: [{ index: 'one' }, { index: 'two' }]
+          }
+        }
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { delete: { _index: 'one', _id: 'a' } },
+            { delete: { _index: 'two', _id: 'a' } }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should throw when a target has no index', function () {
+      const testOptions = {
+        elasticsearch: {
+          client: new Client({ node: 'https://foo' })
+        },
+        targets: [{ idField: 'id' }]
+      }
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(ValidationError)
+        .with.property('message', '"targets[0]" must contain at least one of [index, indexField]')
+    })
+  })
+
+  describe('entities', function () {
+    const testEntities = [
+      { name: 'user', field: 'SK', prefix: 'USER#', index: 'users' },
+      {
+        name: 'order',
+        field: 'SK',
+        pattern: '^ORDER#(?<year>\\d{4})#(?<orderId>\\d+)$',
+        idGroups: ['year', 'orderId'],
+        separator: '-',
+        index: 'orders'
+      }
+    ]
+
+    it('should route entities by key prefix and pattern', function () {
+      const testEvent = formatEvent([
+        { keys: { PK: 'TENANT#1', SK: 'USER#123' }, new: { name: 'Jane' } },
+        { keys: { PK: 'TENANT#1', SK: 'ORDER#2024#9' }, new: { total: 10 } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        entities: testEntities
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'users', _id: '123' } },
+            { name: 'Jane' },
+            { index: { _index: 'orders', _id: '2024-9' } },
+            { total: 10 }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should not diff the stripped key attributes with "updateMode" "diff"', function () {
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: { PK: 'TENANT#1', SK: 'USER#123' },
+        old: { b: 1, c: 1 },
+        new: { b: 1, c: 2 }
+      })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        updateMode: 'diff',
+        entities: testEntities
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { update: { _index: 'users', _id: '123' } },
+            { doc: { c: 2 }, upsert: { b: 1, c: 2 } }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should strip only the given fields when "stripFields" is set', function () {
+      const testEvent = formatEvent({
+        keys: { PK: 'USER#123', SK: 'PROFILE' },
+        new: { name: 'Jane' }
+      })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        entities: [{ field: 'PK', prefix: 'USER#', index: 'users', stripFields: ['SK'] }]
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'users', _id: '123' } },
+            { PK: 'USER#123', name: 'Jane' }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should reject records that match no entity', function () {
+      let hookCalled = false
+      const testEvent = formatEvent({ keys: { PK: 'TENANT#1', SK: 'INVOICE#1' } })
+
+      const handler = lambdaHandler({
+        elasticsearch: {
+          client: new Client({ node: 'https://foo' })
+        },
+        entities: testEntities,
+        recordErrorHook: (event, context, err) => {
+          hookCalled = true
+          expect(err).to.be.an.instanceOf(EntityNotFoundError)
+        }
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hookCalled).to.be.equal(true)
+        })
+    })
+
+    it('should throw when an entity has neither "prefix" nor "pattern"', function () {
+      const testOptions = {
+        elasticsearch: {
+          client: new Client({ node: 'https://foo' })
+        },
+        entities: [{ field: 'PK', index: 'users' }]
+      }
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(ValidationError)
+        .with.property('message', '"entities[0]" must contain at least one of [prefix, pattern]')
+    })
+  })
+
+  describe('serialization', function () {
+    const testImage = {
+      id: { S: 'a' },
+      string: { S: 'text' },
+      integer: { N: '42' },
+      decimal: { N: '3.14' },
+      bigInteger: { N: '12345678901234567890' },
+      boolean: { BOOL: true },
+      nothing: { NULL: true },
+      binary: { B: 'aGVsbG8=' },
+      list: { L: [{ S: 'x' }, { N: '1' }] },
+      map: { M: { nested: { SS: ['b', 'a'] } } },
+      stringSet: { SS: ['a', 'b'] },
+      numberSet: { NS: ['1', '98765432109876543210'] },
+      binarySet: { BS: ['aGVsbG8=', 'd29ybGQ='] }
+    }
+
+    const testEvent = {
+      Records: [{
+        eventName: 'INSERT',
+        eventSource: 'aws:dynamodb',
+        dynamodb: {
+          Keys: { id: { S: 'a' } },
+          NewImage: testImage,
+          StreamViewType: 'NEW_AND_OLD_IMAGES'
+        }
+      }]
+    }
+
+    const jsonDoc = {
+      id: 'a',
+      string: 'text',
+      integer: 42,
+      decimal: 3.14,
+      bigInteger: '12345678901234567890',
+      boolean: true,
+      nothing: null,
+      binary: 'aGVsbG8=',
+      list: ['x', 1],
+      map: { nested: ['b', 'a'] },
+      stringSet: ['a', 'b'],
+      numberSet: [1, '98765432109876543210'],
+      binarySet: ['aGVsbG8=', 'd29ybGQ=']
+    }
+
+    it('should convert DynamoDB types to JSON-friendly values by default', function () {
+      return expectBulkBody({}, testEvent, [
+        { index: { _index: 'index', _id: 'a' } },
+        jsonDoc
+      ])
+    })
+
+    it('should convert binary attributes from marshalled bytes to base64', function () {
+      return expectBulkBody({}, formatEvent({ keys: { id: 'a' }, new: { binary: Buffer.from('hello') } }), [
+        { index: { _index: 'index', _id: 'a' } },
+        { id: 'a', binary: 'aGVsbG8=' }
+      ])
+    })
+
+    it('should pass sets, buffers and big integers to "transformRecordHook" when configured', function () {
+      return expectBulkBody({
+        serialization: { sets: 'set', binary: 'buffer', bigNumbers: 'bigint' },
+        transformRecordHook: doc => {
+          expect(doc.stringSet).to.be.an.instanceOf(Set)
+          expect([...doc.stringSet]).to.deep.equal(['a', 'b'])
+          expect([...doc.numberSet]).to.deep.equal([1, 98765432109876543210n])
+          expect(Buffer.isBuffer(doc.binary)).to.be.equal(true)
+          expect(doc.binary.toString()).to.be.equal('hello')
+          expect([...doc.binarySet][0].toString()).to.be.equal('hello')
+          expect(doc.bigInteger).to.be.equal(12345678901234567890n)
+          return doc
+        }
+      }, testEvent, [
+        { index: { _index: 'index', _id: 'a' } },
+        jsonDoc
+      ])
+    })
+
+    it('should pass wrapped numbers to "transformRecordHook" when "wrapNumbers" is set', function () {
+      return expectBulkBody({
+        serialization: { wrapNumbers: true },
+        transformRecordHook: doc => {
+          expect(doc.integer).to.be.an.instanceOf(NumberValue)
+          expect(doc.integer.toString()).to.be.equal('42')
+          expect(doc.bigInteger.toString()).to.be.equal('12345678901234567890')
+          expect(doc.numberSet[1].toString()).to.be.equal('98765432109876543210')
+          return doc
+        }
+      }, testEvent, [
+        { index: { _index: 'index', _id: 'a' } },
+        jsonDoc
+      ])
+    })
+
+    it('should send JSON values when the configured types are left in the document', function () {
+      return expectBulkBody({
+        serialization: { sets: 'set', binary: 'buffer', bigNumbers: 'bigint', wrapNumbers: true },
+        maxBulkBytes: 1024
+      }, testEvent, [
+        { index: { _index: 'index', _id: 'a' } },
+        jsonDoc
+      ])
+    })
+  })
+
+  describe('fieldMap', function () {
+    it('should diff the mapped old image with "updateMode" "diff"', function () {
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: { id: 'a' },
+        old: { name: 'x', c: 1 },
+        new: { name: 'x', c: 2 }
+      })
+
+      return expectBulkBody({
+        updateMode: 'diff',
+        fieldMap: { rename: { name: 'title' } }
+      }, testEvent, [
+        { update: { _index: 'index', _id: 'a' } },
+        { doc: { c: 2 }, upsert: { id: 'a', title: 'x', c: 2 } }
+      ])
+    })
+
+    it('should apply the field map before "transformRecordHook"', function () {
+      let hookCalled = false
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: { id: 'a' },
+        new: {
+          createdAt: 1760000000,
+          Tag: '  Blue ',
+          latitude: '52.5',
+          longitude: 13.4,
+          _internal: 'secret',
+          first: 'Jane',
+          last: 'Doe',
+          nested: { old: 1 }
+        },
+        old: { first: 'Janet' }
+      })
+
+      return expectBulkBody({
+        fieldMap: {
+          convert: { createdAt: 'epochSecondsToIso', Tag: value => value.trim().toLowerCase() },
+          geoPoints: { location: { lat: 'latitude', lon: 'longitude' } },
+          computed: {
+            fullName: (doc, old) => `${doc.first} ${doc.last} (was ${old.first})`
+          },
+          rename: { Tag: 'tag', 'nested.old': 'nested.new' },
+          omit: ['_internal', 'latitude', 'longitude', 'first', 'last']
+        },
+        transformRecordHook: doc => {
+          hookCalled = true
+          expect(doc).to.not.have.property('_internal')
+          return { ...doc, hooked: true }
+        }
+      }, testEvent, [
+        { index: { _index: 'index', _id: 'a' } },
+        {
+          id: 'a',
+          createdAt: new Date(1760000000 * 1000).toISOString(),
+          tag: 'blue',
+          location: { lat: 52.5, lon: 13.4 },
+          fullName: 'Jane Doe (was Janet)',
+          nested: { new: 1 },
+          hooked: true
+        }
+      ]).then(() => {
+        expect(hookCalled).to.be.equal(true)
+      })
+    })
+
+    it('should ignore attributes missing from the document', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { latitude: 1 } })
+
+      return expectBulkBody({
+        fieldMap: {
+          convert: { createdAt: 'epochMillisToIso' },
+          geoPoints: { location: { lat: 'latitude', lon: 'longitude' } },
+          rename: { foo: 'bar' },
+          omit: ['baz']
+        }
+      }, testEvent, [
+        { index: { _index: 'index', _id: 'a' } },
+        { id: 'a', latitude: 1 }
+      ])
+    })
+
+    it('should not modify the parsed record', function () {
+      let hookCalled = false
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { name: 'Jane' } })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        fieldMap: { rename: { name: 'fullName' } },
+        afterHook: (event, context, result, meta) => {
+          hookCalled = true
+          expect(meta[0].event.dynamodb.NewImage).to.deep.equal({ id: 'a', name: 'Jane' })
+          expect(meta[0].document).to.deep.equal({ id: 'a', fullName: 'Jane' })
+        }
+      })
+
+      sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hookCalled).to.be.equal(true)
+        })
+    })
+
+    it('should throw when a converter is unknown', function () {
+      const testOptions = {
+        elasticsearch: {
+          client: new Client({ node: 'https://foo' })
+        },
+        index: 'index',
+        fieldMap: { convert: { foo: 'bar' } }
+      }
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(ValidationError)
+        .with.property('message').that.matches(/^"fieldMap.convert.foo" must be one of/)
+    })
+  })
+
+  describe('async hooks', function () {
+    function delay (ms) {
+      return new Promise(resolve => setTimeout(resolve, ms))
+    }
+
+    it('should support async "transformRecordHook", "idResolver" and "versionResolver"', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { v: 1 } })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        transformRecordHook: async doc => {
+          await delay(1)
+          return { ...doc, enriched: true }
+        },
+        idResolver: async doc => `id-${doc.id}`,
+        versionResolver: async doc => doc.v + 1
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: 'id-a', version: 2, version_type: 'external' } },
+            { id: 'a', v: 1, enriched: true }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should preserve record order with "recordConcurrency"', function () {
+      let inFlight = 0
+      let maxInFlight = 0
+      const testDelays = [30, 1, 20, 1, 10]
+      const testEvent = formatEvent(testDelays.map((ms, i) => ({ keys: { id: `r${i}` }, new: { ms } })))
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        recordConcurrency: 2,
+        transformRecordHook: async doc => {
+          inFlight++
+          maxInFlight = Math.max(maxInFlight, inFlight)
+          await delay(doc.ms)
+          inFlight--
+          return doc
+        },
+        afterHook: (event, context, result, meta) => {
+          expect(meta.map(entry => entry.document.id)).to.deep.equal(['r0', 'r1', 'r2', 'r3', 'r4'])
+        }
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(maxInFlight).to.be.equal(2)
+          expect(stub.firstCall.args[0].body.filter(line => line.index).map(line => line.index._id))
+            .to.deep.equal(['r0', 'r1', 'r2', 'r3', 'r4'])
+        })
+    })
+
+    it('should call "recordErrorHook" when an async hook rejects', function () {
+      let hookCalled = false
+      const testError = new Error('lookup failed')
+      const testEvent = formatEvent([{ keys: { id: 'a' } }, { keys: { id: 'b' } }])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        transformRecordHook: async doc => {
+          if (doc.id === 'a') {
+            throw testError
+          }
+          return doc
+        },
+        recordErrorHook: (event, context, err) => {
+          hookCalled = true
+          expect(err).to.be.equal(testError)
+        }
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [{ index: { _index: 'index', _id: 'b' } }, { id: 'b' }]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hookCalled).to.be.equal(true)
+          mock.verify()
+        })
+    })
+  })
+
+  describe('lookups', function () {
+    const customers = [
+      { id: 'c1', name: 'Ada', email: 'ada@example.com' },
+      { id: 'c2', name: 'Grace', email: 'grace@example.com' }
+    ]
+    const products = [
+      { sku: 'p1', title: 'Keyboard' },
+      { sku: 'p2', title: 'Mouse' }
+    ]
+
+    function createGetItems () {
+      return sinon.stub().callsFake(async (table, keys) => {
+        const [items, key] = table === 'customers' ? [customers, 'id'] : [products, 'sku']
+        return keys
+          .map(keyObj => items.find(item => item[key] === keyObj[key]))
+          .filter(Boolean)
+      })
+    }
+
+    const joins = [
+      { from: 'customerId', table: 'customers', key: 'id', fields: ['name'], as: 'customer' },
+      { from: 'productSkus', table: 'products', key: 'sku', fields: ['title'], as: 'products' }
+    ]
+
+    it('should fail validation when "joins" is set without "lookup"', function () {
+      expect(() => lambdaHandler({
+        elasticsearch: { client: new Client({ node: 'https://foo' }) },
+        index: 'orders',
+        joins
+      })).to.throw(ValidationError, '"joins" requires "lookup"')
+    })
+
+    it('should copy joined fields into the document', function () {
+      const getItems = createGetItems()
+      const testEvent = formatEvent({
+        keys: { id: 'o1' },
+        new: { customerId: 'c1', productSkus: ['p1', 'p2', 'p3'] }
+      })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        lookup: { getItems },
+        joins
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'orders', _id: 'o1' } },
+            {
+              id: 'o1',
+              customerId: 'c1',
+              productSkus: ['p1', 'p2', 'p3'],
+              customer: { name: 'Ada' },
+              products: [{ title: 'Keyboard' }, { title: 'Mouse' }]
+            }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should look up each distinct key once per batch', function () {
+      const getItems = createGetItems()
+      const testEvent = formatEvent([
+        { keys: { id: 'o1' }, new: { customerId: 'c1', productSkus: ['p1'] } },
+        { keys: { id: 'o2' }, new: { customerId: 'c2', productSkus: ['p1', 'p2'] } },
+        { keys: { id: 'o3' }, new: { customerId: 'c1' } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        lookup: { getItems },
+        joins
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(getItems.callCount).to.be.equal(2)
+          expect(getItems.firstCall.args).to.deep.equal(['customers', [{ id: 'c1' }, { id: 'c2' }]])
+          expect(getItems.secondCall.args).to.deep.equal(['products', [{ sku: 'p1' }, { sku: 'p2' }]])
+          expect(stub.firstCall.args[0].body[5]).to.deep.equal({
+            id: 'o3',
+            customerId: 'c1',
+            customer: { name: 'Ada' }
+          })
+        })
+    })
+
+    it('should split lookups into batches of "batchSize" keys', function () {
+      const getItems = createGetItems()
+      const testEvent = formatEvent(['c1', 'c2', 'c3'].map((customerId, i) => ({
+        keys: { id: `o${i}` },
+        new: { customerId }
+      })))
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        lookup: { getItems, batchSize: 2 },
+        joins: [joins[0]]
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(getItems.args).to.deep.equal([
+            ['customers', [{ id: 'c1' }, { id: 'c2' }]],
+            ['customers', [{ id: 'c3' }]]
+          ])
+          expect(stub.firstCall.args[0].body[5]).to.deep.equal({ id: 'o2', customerId: 'c3', customer: null })
+        })
+    })
+
+    it('should support joins per route', function () {
+      const getItems = createGetItems()
+      const testEvent = formatEvent([
+        { keys: { id: 'o1' }, new: { customerId: 'c2' }, table: 'Orders' },
+        { keys: { id: 'c1' }, new: { name: 'Ada' }, table: 'Customers' }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        lookup: { getItems },
+        routes: {
+          Orders: { index: 'orders', joins: [joins[0]] },
+          Customers: { index: 'customers' }
+        }
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'orders', _id: 'o1' } },
+            { id: 'o1', customerId: 'c2', customer: { name: 'Grace' } },
+            { index: { _index: 'customers', _id: 'c1' } },
+            { id: 'c1', name: 'Ada' }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify()
+          expect(getItems.callCount).to.be.equal(1)
+        })
+    })
+  })
+
+  describe('dependents', function () {
+    const dependents = [{
+      index: 'orders',
+      field: 'customer.id',
+      key: 'id',
+      fields: { 'customer.name': 'name' }
+    }]
+
+    it('should update dependent documents when watched attributes change', function () {
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: { id: 'c1' },
+        old: { name: 'Ada' },
+        new: { name: 'Ada Lovelace' }
+      })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'customers',
+        dependents
+      })
+
+      sinon.stub(client, 'bulk').resolves()
+      const stub = sinon.stub(client, 'updateByQuery').resolves({ updated: 2, failures: [] })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.calledOnce).to.be.equal(true)
+          expect(stub.firstCall.args[0]).to.containSubset({
+            index: 'orders',
+            body: {
+              query: { term: { 'customer.id': 'c1' } },
+              script: { lang: 'painless', params: { fields: { 'customer.name': 'Ada Lovelace' } } }
+            }
+          })
+        })
+    })
+
+    it('should not update dependent documents when watched attributes are unchanged', function () {
+      const testEvent = formatEvent([
+        { name: 'MODIFY', keys: { id: 'c1' }, old: { name: 'Ada', age: 36 }, new: { name: 'Ada', age: 37 } },
+        { name: 'INSERT', keys: { id: 'c2' }, new: { name: 'Grace' } },
+        { name: 'REMOVE', keys: { id: 'c3' }, old: { name: 'Alan' } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'customers',
+        dependents
+      })
+
+      sinon.stub(client, 'bulk').resolves()
+      const stub = sinon.stub(client, 'updateByQuery').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => expect(stub.called).to.be.equal(false))
+    })
+
+    it('should only watch the "watch" attributes when set', function () {
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: { id: 'c1' },
+        old: { name: 'Ada', tier: 'gold' },
+        new: { name: 'Ada', tier: 'platinum' }
+      })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'customers',
+        dependents: [{ ...dependents[0], watch: 'tier' }]
+      })
+
+      sinon.stub(client, 'bulk').resolves()
+      const stub = sinon.stub(client, 'updateByQuery').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.calledOnce).to.be.equal(true)
+          expect(stub.firstCall.args[0].body.script.params.fields).to.deep.equal({ 'customer.name': 'Ada' })
+        })
+    })
+
+    it('should update dependents even when the bulk request has no actions', function () {
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: { id: 'c1' },
+        old: { name: 'Ada' },
+        new: { name: 'Ada Lovelace' }
+      })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'customers',
+        updateMode: 'diff',
+        pickFields: ['id'],
+        dependents
+      })
+
+      const bulk = sinon.stub(client, 'bulk').resolves()
+      const stub = sinon.stub(client, 'updateByQuery').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(bulk.called).to.be.equal(false)
+          expect(stub.calledOnce).to.be.equal(true)
+        })
+    })
+
+    it('should throw DependentUpdateError when an update fails', function () {
+      const testError = new Error('update failed')
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: { id: 'c1' },
+        old: { name: 'Ada' },
+        new: { name: 'Ada Lovelace' }
+      })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'customers',
+        dependents
+      })
+
+      sinon.stub(client, 'bulk').resolves()
+      sinon.stub(client, 'updateByQuery')
+        .onFirstCall().rejects(testError)
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.instanceOf(DependentUpdateError)
+          expect(err.details).to.have.length(1)
+          expect(err.details[0].error).to.be.equal(testError)
+          expect(err.details[0].record).to.be.equal(testEvent.Records[0])
+        })
+    })
+
+    it('should report records whose updates failed with "reportBatchItemFailures"', function () {
+      const testEvent = formatEvent([
+        { name: 'MODIFY', keys: { id: 'c1' }, old: { name: 'Ada' }, new: { name: 'Ada L.' }, sequenceNumber: '100' },
+        { name: 'MODIFY', keys: { id: 'c2' }, old: { name: 'Grace' }, new: { name: 'Grace H.' }, sequenceNumber: '200' }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'customers',
+        reportBatchItemFailures: true,
+        dependents
+      })
+
+      sinon.stub(client, 'bulk').resolves()
+      sinon.stub(client, 'updateByQuery')
+        .onFirstCall().resolves({ failures: [] })
+        .onSecondCall().resolves({ failures: [{ id: 'o1', status: 409 }] })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(result).to.deep.equal({ batchItemFailures: [{ itemIdentifier: '200' }] })
+        })
+    })
+
+    it('should only send the update of the latest change of the same documents', function () {
+      const testEvent = formatEvent([
+        { name: 'MODIFY', keys: { id: 'c1' }, old: { name: 'Ada' }, new: { name: 'Ada B.' }, sequenceNumber: '200' },
+        { name: 'MODIFY', keys: { id: 'c1' }, old: { name: 'Ada B.' }, new: { name: 'Ada C.' }, sequenceNumber: '300' },
+        { name: 'MODIFY', keys: { id: 'c1' }, old: { name: 'Ada' }, new: { name: 'Ada A.' }, sequenceNumber: '100' }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'customers',
+        dependentConcurrency: 2,
+        dependents
+      })
+
+      sinon.stub(client, 'bulk').resolves()
+      const stub = sinon.stub(client, 'updateByQuery').resolves({ updated: 2, failures: [] })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.calledOnce).to.be.equal(true)
+          expect(stub.firstCall.args[0]).to.containSubset({
+            index: 'orders',
+            conflicts: 'proceed',
+            body: { script: { params: { fields: { 'customer.name': 'Ada C.' } } } }
+          })
+        })
+    })
+
+    it('should report updates that skipped documents changed concurrently', function () {
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: { id: 'c1' },
+        old: { name: 'Ada' },
+        new: { name: 'Ada L.' }
+      })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'customers',
+        dependents
+      })
+
+      sinon.stub(client, 'bulk').resolves()
+      sinon.stub(client, 'updateByQuery').resolves({ updated: 1, version_conflicts: 1, failures: [] })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.instanceOf(DependentUpdateError)
+          expect(err.details).to.have.length(1)
+          expect(err.details[0].error).to.deep.equal({ version_conflicts: 1 })
+        })
+    })
+
+    it('should send the updates in parallel with "dependentConcurrency"', function () {
+      const testEvent = formatEvent([1, 2, 3].map(i => ({
+        name: 'MODIFY', keys: { id: `c${i}` }, old: { name: 'Ada' }, new: { name: `Ada ${i}` }
+      })))
+      let inFlight = 0
+      let maxInFlight = 0
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'customers',
+        dependentConcurrency: 2,
+        dependents
+      })
+
+      sinon.stub(client, 'bulk').resolves()
+      const stub = sinon.stub(client, 'updateByQuery').callsFake(async () => {
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        inFlight--
+        return { failures: [] }
+      })
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.callCount).to.be.equal(3)
+          expect(maxInFlight).to.be.equal(2)
+        })
+    })
+
+    it('should fail validation when the client has no "updateByQuery"', function () {
+      const client = { bulk: () => {} }
+
+      expect(() => lambdaHandler({
+        elasticsearch: { client },
+        index: 'customers',
+        dependents
+      })).to.throw(ValidationError, '"dependents" requires "elasticsearch.client.updateByQuery"')
+
+      expect(() => lambdaHandler({
+        elasticsearch: { client },
+        routes: { customers: { index: 'customers', dependents } }
+      })).to.throw(ValidationError, '"routes.customers.dependents" requires "elasticsearch.client.updateByQuery"')
+    })
+  })
+
+  describe('index name templates', function () {
+    function getIndexes (stub) {
+      return stub.firstCall.args[0].body
+        .filter(line => line.index || line.delete)
+        .map(line => (line.index || line.delete)._index)
+    }
+
+    it('should format date attributes in the index name', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { createdAt: '2026-10-19T08:00:00.000Z' } },
+        { keys: { id: 'b' }, new: { createdAt: 1767225600 } },
+        { keys: { id: 'c' }, new: { createdAt: 1767225600000 } },
+        { name: 'REMOVE', keys: { id: 'd' }, old: { createdAt: '2025-02-03T00:00:00.000Z' } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders-{createdAt:YYYY.MM}'
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(getIndexes(stub)).to.deep.equal([
+            'orders-2026.10',
+            'orders-2026.01',
+            'orders-2026.01',
+            'orders-2025.02'
+          ])
+        })
+    })
+
+    it('should fill in the table, event name and event time', function () {
+      const testEvent = formatEvent({
+        keys: { id: 'a' },
+        new: { tenantId: 'Acme' },
+        table: 'Orders',
+        time: 1767225600
+      })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: '{tenantId}-{table}-{eventName}-{eventTime:YYYY.MM.DD}'
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(getIndexes(stub)).to.deep.equal(['acme-orders-insert-2026.01.01'])
+        })
+    })
+
+    it('should prefer attributes over the record properties of the same name', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { table: 'kitchen' }, table: 'Furniture' })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'items-{table}'
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => expect(getIndexes(stub)).to.deep.equal(['items-kitchen']))
+    })
+
+    it('should sanitize the index name', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { tenantId: '_My Tenant/#1' } })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: '{tenantId}'
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => expect(getIndexes(stub)).to.deep.equal(['my_tenant__1']))
+    })
+
+    it('should reject records with missing or invalid template values', function () {
+      const errors = []
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: {} },
+        { keys: { id: 'b' }, new: { createdAt: 'yesterday' } },
+        { keys: { id: 'c' }, new: { createdAt: '2026-10-19' } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders-{createdAt:YYYY}',
+        recordErrorHook: (event, context, err) => errors.push(err)
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(errors[0]).to.be.instanceOf(FieldNotFoundError)
+          expect(errors[1]).to.be.instanceOf(IndexNameError)
+          expect(getIndexes(stub)).to.deep.equal(['orders-2026'])
+        })
+    })
+  })
+
+  describe('dataStream', function () {
+    it('should fail validation when "dataStream" is set with versioning or update modes', function () {
+      const client = new Client({ node: 'https://foo' })
+
+      expect(() => lambdaHandler({
+        elasticsearch: { client },
+        index: 'logs',
+        dataStream: true,
+        versionField: 'version'
+      })).to.throw(ValidationError, '"dataStream" conflict with forbidden peer "versionField"')
+
+      expect(() => lambdaHandler({
+        elasticsearch: { client },
+        index: 'logs',
+        dataStream: true,
+        updateMode: 'upsert'
+      })).to.throw(ValidationError, '"dataStream" conflict with forbidden peer "updateMode"')
+    })
+
+    it('should create documents with "@timestamp" from the event time', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { level: 'info' }, time: 1767225600 })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'logs-app',
+        dataStream: true
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { create: { _index: 'logs-app', _id: 'a' } },
+            { id: 'a', level: 'info', '@timestamp': '2026-01-01T00:00:00.000Z' }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should treat a conflict on a replayed record as already written', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { level: 'info' }, time: 1767225600 })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'logs-app',
+        dataStream: true,
+        itemRetryOptions: { retries: 2, minTimeout: 0 }
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves(formatBulkResult([
+        { create: { _index: 'logs-app', _id: 'a', status: 409, error: { type: 'version_conflict_engine_exception' } } }
+      ]))
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.calledOnce).to.be.equal(true)
+        })
+    })
+
+    it('should take "@timestamp" from "timestampField"', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { at: '2026-10-19T08:00:00.000Z' } },
+        { keys: { id: 'b' }, new: { at: 1767225600000 } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'logs-app',
+        dataStream: { timestampField: 'at' }
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body[1]['@timestamp']).to.be.equal('2026-10-19T08:00:00.000Z')
+          expect(stub.firstCall.args[0].body[3]['@timestamp']).to.be.equal('2026-01-01T00:00:00.000Z')
+        })
+    })
+
+    it('should reject records with an invalid "timestampField"', function () {
+      let hookErr
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { at: 'yesterday' } })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'logs-app',
+        dataStream: { timestampField: 'at' },
+        recordErrorHook: (event, context, err) => { hookErr = err }
+      })
+
+      sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => expect(hookErr).to.be.instanceOf(ValidationError))
+    })
+
+    it('should append changes and skip removals by default', function () {
+      const testEvent = formatEvent([
+        { name: 'MODIFY', keys: { id: 'a' }, old: { level: 'info' }, new: { level: 'warn' }, sequenceNumber: '100', time: 1767225600 },
+        { name: 'REMOVE', keys: { id: 'a' }, old: { level: 'warn' }, sequenceNumber: '200' }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'logs-app',
+        dataStream: true,
+        afterHook: (event, context, result, meta) => {
+          expect(meta.map(entry => entry.skipped)).to.deep.equal([undefined, 'appendOnly'])
+        }
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { create: { _index: 'logs-app', _id: 'a.100' } },
+            { id: 'a', level: 'warn', '@timestamp': '2026-01-01T00:00:00.000Z' }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should append removals of the old image with onRemove "append"', function () {
+      const testEvent = formatEvent({ name: 'REMOVE', keys: { id: 'a' }, old: { level: 'warn' }, sequenceNumber: '200', time: 1767225600 })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'logs-app',
+        dataStream: { onRemove: 'append' }
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { create: { _index: 'logs-app', _id: 'a.200' } },
+            { id: 'a', level: 'warn', '@timestamp': '2026-01-01T00:00:00.000Z' }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should reject changes with onModify "reject"', function () {
+      let hookErr
+      const testEvent = formatEvent([
+        { name: 'MODIFY', keys: { id: 'a' }, old: { level: 'info' }, new: { level: 'warn' } },
+        { keys: { id: 'b' }, new: { level: 'info' }, time: 1767225600 }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'logs-app',
+        dataStream: { onModify: 'reject' },
+        recordErrorHook: (event, context, err) => { hookErr = err }
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { create: { _index: 'logs-app', _id: 'b' } },
+            { id: 'b', level: 'info', '@timestamp': '2026-01-01T00:00:00.000Z' }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify()
+          expect(hookErr).to.be.instanceOf(DataStreamError)
+          expect(hookErr.message).to.be.equal('"MODIFY" records cannot be written to data stream "logs-app"')
+        })
+    })
+  })
+
+  describe('routing and pipeline', function () {
+    it('should fail validation when more than one routing option is set', function () {
+      expect(() => lambdaHandler({
+        elasticsearch: { client: new Client({ node: 'https://foo' }) },
+        index: 'index',
+        routingField: 'tenantId',
+        parentField: 'parentId'
+      })).to.throw(ValidationError, '"options" contains a conflict between optional exclusive peers [routingField, routingResolver, parentField]')
+    })
+
+    it('should set "routing" from "routingField" on every operation', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { tenantId: 't1' } },
+        { name: 'MODIFY', keys: { id: 'b' }, old: { tenantId: 't2' }, new: { tenantId: 't2', v: 1 } },
+        { name: 'REMOVE', keys: { id: 'c' }, old: { tenantId: 't3' } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        updateMode: 'upsert',
+        routingField: 'tenantId'
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: 'a', routing: 't1' } },
+            { id: 'a', tenantId: 't1' },
+            { update: { _index: 'index', _id: 'b', routing: 't2' } },
+            { doc: { id: 'b', tenantId: 't2', v: 1 }, doc_as_upsert: true },
+            { delete: { _index: 'index', _id: 'c', routing: 't3' } }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should set "routing" from an async "routingResolver"', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { tenantId: 't1', region: 'eu' } })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        routingResolver: async doc => `${doc.region}-${doc.tenantId}`
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body[0]).to.deep.equal({ index: { _index: 'index', _id: 'a', routing: 'eu-t1' } })
+        })
+    })
+
+    it('should set "pipeline" on index and create operations only', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { kind: 'invoice' } },
+        { name: 'MODIFY', keys: { id: 'b' }, old: { kind: 'invoice' }, new: { kind: 'receipt' } },
+        { name: 'REMOVE', keys: { id: 'c' }, old: { kind: 'invoice' } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        pipelineField: 'kind'
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: 'a', pipeline: 'invoice' } },
+            { id: 'a', kind: 'invoice' },
+            { index: { _index: 'index', _id: 'b', pipeline: 'receipt' } },
+            { id: 'b', kind: 'receipt' },
+            { delete: { _index: 'index', _id: 'c' } }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should set a fixed "pipeline" per route', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: {}, table: 'Orders' },
+        { keys: { id: 'b' }, new: {}, table: 'Customers' }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        pipeline: 'default',
+        routes: {
+          Orders: { index: 'orders', pipeline: 'orders' },
+          Customers: { index: 'customers' }
+        }
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body[0].index.pipeline).to.be.equal('orders')
+          expect(stub.firstCall.args[0].body[2].index.pipeline).to.be.equal('default')
+        })
+    })
+  })
+
+  describe('optimistic concurrency', function () {
+    const conflict = { status: 409, error: { type: 'version_conflict_engine_exception' } }
+
+    it('should use "versionType" for versioned operations', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { v: 3 } })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionField: 'v',
+        versionType: 'external_gte'
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body[0]).to.deep.equal({
+            index: { _index: 'index', _id: 'a', version: 3, version_type: 'external_gte' }
+          })
+        })
+    })
+
+    it('should set "if_seq_no" and "if_primary_term" from "seqNoField" and "primaryTermField"', function () {
+      const testEvent = formatEvent([
+        { name: 'MODIFY', keys: { id: 'a' }, old: { seqNo: 4, term: 1 }, new: { seqNo: 5, term: 1 } },
+        { name: 'REMOVE', keys: { id: 'b' }, old: { seqNo: 7, term: 2 } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        seqNoField: 'seqNo',
+        primaryTermField: 'term'
+      })
+
+      const stub = sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body[0]).to.deep.equal({
+            index: { _index: 'index', _id: 'a', if_seq_no: 5, if_primary_term: 1 }
+          })
+          expect(stub.firstCall.args[0].body[2]).to.deep.equal({
+            delete: { _index: 'index', _id: 'b', if_seq_no: 7, if_primary_term: 2 }
+          })
+        })
+    })
+
+    it('should fail validation when "seqNoField" is set with versioning or alone', function () {
+      const client = new Client({ node: 'https://foo' })
+
+      expect(() => lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        seqNoField: 'seqNo'
+      })).to.throw(ValidationError, '"options" contains [seqNoField] without its required peers [primaryTermField]')
+
+      expect(() => lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        seqNoField: 'seqNo',
+        primaryTermField: 'term',
+        versionField: 'v'
+      })).to.throw(ValidationError, '"seqNoField" conflict with forbidden peer "versionField"')
+    })
+
+    it('should report conflicts of operations without external versioning by default', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { seqNo: 1, term: 1 } })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        seqNoField: 'seqNo',
+        primaryTermField: 'term'
+      })
+
+      sinon.stub(client, 'bulk').resolves(formatBulkResult([{ index: { _id: 'a', ...conflict } }]))
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.instanceOf(BulkItemError)
+          expect(err.details[0]).to.containSubset({ kind: 'conflict', retryable: false })
+        })
+    })
+
+    it('should succeed when a batch already indexed with "versionField" is replayed', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { v: 1 }, sequenceNumber: '100' },
+        { name: 'MODIFY', keys: { id: 'a' }, new: { v: 2 }, sequenceNumber: '200' },
+        { name: 'REMOVE', keys: { id: 'b' }, old: { v: 3 }, sequenceNumber: '300' }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionField: 'v',
+        reportBatchItemFailures: true
+      })
+
+      sinon.stub(client, 'bulk').resolves(formatBulkResult([
+        { index: { _id: 'a', ...conflict } },
+        { index: { _id: 'a', ...conflict } },
+        { delete: { _id: 'b', ...conflict } }
+      ]))
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(result).to.deep.equal({ batchItemFailures: [] })
+        })
+    })
+
+    it('should report version conflicts with conflictPolicy "report"', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { v: 1 } })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionField: 'v',
+        conflictPolicy: 'report'
+      })
+
+      sinon.stub(client, 'bulk').resolves(formatBulkResult([{ index: { _id: 'a', ...conflict } }]))
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.instanceOf(BulkItemError)
+          expect(err.details[0]).to.containSubset({ kind: 'conflict', retryable: false })
+        })
+    })
+
+    it('should ignore version conflicts with conflictPolicy "ignore"', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { v: 1 } },
+        { keys: { id: 'b' }, new: { v: 1 } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionField: 'v',
+        conflictPolicy: 'ignore'
+      })
+
+      sinon.stub(client, 'bulk').resolves(formatBulkResult([
+        { index: { _id: 'a', ...conflict } },
+        { index: { _id: 'b', status: 201 } }
+      ]))
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(result.items).to.have.length(2)
+        })
+    })
+
+    it('should still report other failures with conflictPolicy "ignore"', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { v: 1 } },
+        { keys: { id: 'b' }, new: { v: 1 } }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionField: 'v',
+        conflictPolicy: 'ignore'
+      })
+
+      sinon.stub(client, 'bulk').resolves(formatBulkResult([
+        { index: { _id: 'a', ...conflict } },
+        { index: { _id: 'b', status: 400, error: { type: 'mapper_parsing_exception' } } }
+      ]))
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.instanceOf(BulkItemError)
+          expect(err.details).to.have.length(1)
+          expect(err.details[0]).to.containSubset({ kind: 'mapping' })
+        })
+    })
+
+    it('should retry version conflicts with conflictPolicy "retry"', function () {
+      const testEvent = formatEvent({ keys: { id: 'a' }, new: { seqNo: 1, term: 1 } })
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        seqNoField: 'seqNo',
+        primaryTermField: 'term',
+        conflictPolicy: 'retry',
+        itemRetryOptions: { retries: 1, minTimeout: 0 }
+      })
+
+      const stub = sinon.stub(client, 'bulk')
+      stub.onFirstCall().resolves(formatBulkResult([{ index: { _id: 'a', ...conflict } }]))
+      stub.onSecondCall().resolves(formatBulkResult([{ index: { _id: 'a', status: 200 } }]))
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(stub.callCount).to.be.equal(2)
+          expect(result.errors).to.be.equal(false)
+        })
+    })
+  })
+
+  describe('versionFrom', function () {
+    it('should derive the version from "SequenceNumber" and the creation time', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: {}, sequenceNumber: '4421584500000000017450439091', time: 1767225600 },
+        { name: 'REMOVE', keys: { id: 'a' }, old: {}, sequenceNumber: '4421584500000000017450439092', time: 1767225600 }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionFrom: 'sequenceNumber'
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: 'a', version: '1767225600450439091', version_type: 'external' } },
+            { id: 'a' },
+            { delete: { _index: 'index', _id: 'a', version: '1767225600450439092', version_type: 'external' } }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should throw when the sequence numbers of a document roll over within the same second', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { v: 1 }, sequenceNumber: '4421584500000000017999999999', time: 1767225600 },
+        { keys: { id: 'b' }, new: { v: 1 }, sequenceNumber: '4421584500000000018000000000', time: 1767225600 },
+        { keys: { id: 'a' }, new: { v: 2 }, sequenceNumber: '4421584500000000018000000001', time: 1767225600 }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionFrom: 'sequenceNumber'
+      })
+
+      const mock = sinon.mock(client).expects('bulk').never()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.instanceOf(VersionRolloverError)
+          expect(err.message).to.be.equal('Versions of "index/a" are out of sequence order: the sequence numbers roll over within the same second')
+          expect(err.details.map(record => record.dynamodb.SequenceNumber)).to.deep.equal([
+            '4421584500000000017999999999',
+            '4421584500000000018000000001'
+          ])
+          mock.verify()
+        })
+    })
+
+    it('should reject only the record whose sequence number rolled over', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { v: 1 }, sequenceNumber: '4421584500000000017999999999', time: 1767225600 },
+        { keys: { id: 'a' }, new: { v: 2 }, sequenceNumber: '4421584500000000018000000001', time: 1767225600 },
+        { keys: { id: 'b' }, new: { v: 1 }, sequenceNumber: '4421584500000000018000000002', time: 1767225600 }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionFrom: 'sequenceNumber',
+        reportBatchItemFailures: true
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: 'a', version: '1767225600999999999', version_type: 'external' } },
+            { id: 'a', v: 1 },
+            { index: { _index: 'index', _id: 'b', version: '1767225600000000002', version_type: 'external' } },
+            { id: 'b', v: 1 }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          mock.verify()
+          expect(result).to.deep.equal({
+            batchItemFailures: [{ itemIdentifier: '4421584500000000018000000001' }]
+          })
+        })
+    })
+
+    it('should derive the version from "ApproximateCreationDateTime" with "external_gte" by default', function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: {}, time: 1767225600 },
+        { name: 'REMOVE', keys: { id: 'b' }, old: {}, time: 1767225601 }
+      ])
+      testEvent.Records[1].dynamodb.ApproximateCreationDateTime = 1767225601500
+      testEvent.Records[1].dynamodb.ApproximateCreationDateTimePrecision = 'MILLISECOND'
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionFrom: 'approximateCreationDateTime'
+      })
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: 'a', version: 1767225600000, version_type: 'external_gte' } },
+            { id: 'a' },
+            { delete: { _index: 'index', _id: 'b', version: 1767225601500, version_type: 'external_gte' } }
+          ]
+        })
+        .resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify())
+    })
+
+    it('should reject records without the stream metadata', function () {
+      const errors = []
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: {}, sequenceNumber: '100' },
+        { keys: { id: 'b' }, new: {}, time: 1767225600 }
+      ])
+
+      const client = new Client({ node: 'https://foo' })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionFrom: 'sequenceNumber',
+        recordErrorHook: (event, context, err) => errors.push(err)
+      })
+
+      sinon.stub(client, 'bulk').resolves()
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(errors.map(err => err.message)).to.deep.equal([
+            '"ApproximateCreationDateTime" field not found in record',
+            '"SequenceNumber" field not found in record'
+          ])
+        })
+    })
+
+    it('should fail validation when combined with "versionField" or partial updates', function () {
+      const client = new Client({ node: 'https://foo' })
+
+      expect(() => lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionFrom: 'sequenceNumber',
+        versionField: 'v'
+      })).to.throw(ValidationError, '"versionFrom" conflict with forbidden peer "versionField"')
+
+      expect(() => lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionFrom: 'sequenceNumber',
+        updateMode: 'upsert'
+      })).to.throw(ValidationError, '"updateMode" conflict with forbidden peer "versionFrom"')
+    })
+  })
+
+  describe('bootstrap', function () {
+    const templates = [{
+      name: 'orders',
+      body: { index_patterns: ['orders-*'], template: { mappings: { properties: { total: { type: 'double' } } } } }
+    }]
+    const index = { mappings: { dynamic: 'strict', properties: { id: { type: 'keyword' } } } }
+
+    function createClient () {
+      const client = new Client({ node: 'https://foo' })
+      sinon.stub(client, 'bulk').resolves()
+      sinon.stub(client.indices, 'existsIndexTemplate').resolves(false)
+      sinon.stub(client.indices, 'putIndexTemplate').resolves()
+      sinon.stub(client.indices, 'exists').resolves(false)
+      sinon.stub(client.indices, 'create').resolves()
+      return client
+    }
+
+    it('should put missing templates once per container', async function () {
+      const client = createClient()
+      client.indices.existsIndexTemplate.withArgs({ name: 'orders' }).onSecondCall().resolves(true)
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders-2026',
+        bootstrap: { templates }
+      })
+
+      await lambdaTester(handler).event(formatEvent({ keys: { id: 'a' } })).expectResult()
+      await lambdaTester(handler).event(formatEvent({ keys: { id: 'b' } })).expectResult()
+
+      expect(client.indices.existsIndexTemplate.callCount).to.be.equal(1)
+      expect(client.indices.putIndexTemplate.args).to.deep.equal([[templates[0]]])
+      expect(client.indices.exists.called).to.be.equal(false)
+      expect(client.bulk.callCount).to.be.equal(2)
+    })
+
+    it('should not put templates that exist', function () {
+      const client = createClient()
+      client.indices.existsIndexTemplate.resolves({ body: true })
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders-2026',
+        bootstrap: { templates }
+      })
+
+      return lambdaTester(handler)
+        .event(formatEvent({ keys: { id: 'a' } }))
+        .expectResult(() => expect(client.indices.putIndexTemplate.called).to.be.equal(false))
+    })
+
+    it('should create missing indexes before sending the bulk request', async function () {
+      const client = createClient()
+      client.indices.exists.withArgs({ index: 'tenant-a' }).resolves(true)
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'tenant-{tenantId}',
+        bootstrap: { index }
+      })
+
+      await lambdaTester(handler)
+        .event(formatEvent([
+          { keys: { id: 'a' }, new: { tenantId: 'a' } },
+          { keys: { id: 'b' }, new: { tenantId: 'b' } },
+          { keys: { id: 'c' }, new: { tenantId: 'b' } }
+        ]))
+        .expectResult()
+      await lambdaTester(handler)
+        .event(formatEvent({ keys: { id: 'd' }, new: { tenantId: 'b' } }))
+        .expectResult()
+
+      expect(client.indices.exists.args).to.deep.equal([[{ index: 'tenant-a' }], [{ index: 'tenant-b' }]])
+      expect(client.indices.create.args).to.deep.equal([[{ index: 'tenant-b', body: index }]])
+      expect(client.indices.create.calledBefore(client.bulk)).to.be.equal(true)
+    })
+
+    it('should build the index body with a function', function () {
+      const client = createClient()
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'tenant-{tenantId}',
+        bootstrap: { index: async name => ({ aliases: { [`${name}-alias`]: {} } }) }
+      })
+
+      return lambdaTester(handler)
+        .event(formatEvent({ keys: { id: 'a' }, new: { tenantId: 'a' } }))
+        .expectResult(() => {
+          expect(client.indices.create.args).to.deep.equal([[{ index: 'tenant-a', body: { aliases: { 'tenant-a-alias': {} } } }]])
+        })
+    })
+
+    it('should tolerate indexes created concurrently', function () {
+      const client = createClient()
+      const err = new Error('resource_already_exists_exception')
+      err.meta = { body: { error: { type: 'resource_already_exists_exception' } } }
+      client.indices.create.rejects(err)
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        bootstrap: { index }
+      })
+
+      return lambdaTester(handler)
+        .event(formatEvent({ keys: { id: 'a' } }))
+        .expectResult(() => expect(client.bulk.calledOnce).to.be.equal(true))
+    })
+
+    it('should retry the templates on the next invocation when putting them fails', async function () {
+      const client = createClient()
+      const err = new Error('unavailable')
+      client.indices.putIndexTemplate.onFirstCall().rejects(err)
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders-2026',
+        bootstrap: { templates }
+      })
+
+      await lambdaTester(handler)
+        .event(formatEvent({ keys: { id: 'a' } }))
+        .expectError(rejected => expect(rejected).to.be.equal(err))
+      await lambdaTester(handler)
+        .event(formatEvent({ keys: { id: 'a' } }))
+        .expectResult()
+
+      expect(client.indices.putIndexTemplate.callCount).to.be.equal(2)
+      expect(client.bulk.callCount).to.be.equal(1)
+    })
+
+    it('should not create the indexes of data streams', function () {
+      const client = createClient()
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'logs-app',
+        dataStream: true,
+        bootstrap: { index }
+      })
+
+      return lambdaTester(handler)
+        .event(formatEvent({ keys: { id: 'a' } }))
+        .expectResult(() => expect(client.indices.exists.called).to.be.equal(false))
+    })
+  })
+
+  describe('inferMapping', function () {
+    it('should map DynamoDB types to Elasticsearch types', async function () {
+      const item = {
+        id: { S: 'order-1' },
+        note: { S: 'leave at the door' },
+        createdAt: { S: '2026-10-19T08:00:00.000Z' },
+        quantity: { N: '3' },
+        total: { N: '19.99' },
+        paid: { BOOL: true },
+        tags: { SS: ['new', 'gift'] },
+        ratings: { NS: ['4.5', '5'] },
+        thumbnail: { B: 'AAE=' },
+        address: { M: { city: { S: 'Paris' }, zip: { N: '75001' } } },
+        lines: { L: [{ M: { sku: { S: 'p1' }, price: { N: '10' } } }] },
+        codes: { L: [{ S: 'a' }, { S: 'b' }] },
+        removed: { NULL: true }
+      }
+
+      const mapping = await inferMapping([item])
+
+      expect(mapping).to.deep.equal({
+        properties: {
+          id: { type: 'keyword' },
+          note: { type: 'text', fields: { keyword: { type: 'keyword', ignore_above: 256 } } },
+          createdAt: { type: 'date' },
+          quantity: { type: 'long' },
+          total: { type: 'double' },
+          paid: { type: 'boolean' },
+          tags: { type: 'keyword' },
+          ratings: { type: 'double' },
+          thumbnail: { type: 'binary' },
+          address: { properties: { city: { type: 'keyword' }, zip: { type: 'long' } } },
+          lines: { type: 'nested', properties: { sku: { type: 'keyword' }, price: { type: 'long' } } },
+          codes: { type: 'keyword' }
+        }
+      })
+      expect(JSON.parse(JSON.stringify(mapping))).to.deep.equal(mapping)
+    })
+
+    it('should merge the types of every sample', async function () {
+      const mapping = await inferMapping([
+        { id: { S: 'a' }, amount: { N: '1' }, label: { S: 'short' }, meta: { M: { a: { S: 'x' } } } },
+        { id: { S: 'b' }, amount: { N: '1.5' }, label: { S: 'a longer label' }, meta: { M: { b: { N: '1' } } } },
+        { id: { S: 'c' }, label: { S: '2026-01-01' } }
+      ])
+
+      expect(mapping).to.deep.equal({
+        properties: {
+          id: { type: 'keyword' },
+          amount: { type: 'double' },
+          label: { type: 'text', fields: { keyword: { type: 'keyword', ignore_above: 256 } } },
+          meta: { properties: { a: { type: 'keyword' }, b: { type: 'long' } } }
+        }
+      })
+    })
+
+    it('should accept stream records', async function () {
+      const testEvent = formatEvent([
+        { keys: { id: 'a' }, new: { count: 1 } },
+        { name: 'REMOVE', keys: { id: 'b' }, old: { deleted: true } }
+      ])
+
+      const mapping = await inferMapping(testEvent.Records)
+
+      expect(mapping).to.deep.equal({
+        properties: {
+          id: { type: 'keyword' },
+          count: { type: 'long' },
+          deleted: { type: 'boolean' }
+        }
+      })
+    })
+
+    it('should apply "pickFields", "stripFields" and "fieldMap"', async function () {
+      const item = {
+        id: { S: 'a' },
+        Name: { S: 'Shop' },
+        createdAt: { N: '1767225600' },
+        latitude: { N: '48.85' },
+        longitude: { N: '2.35' },
+        secret: { S: 'x' }
+      }
+
+      const mapping = await inferMapping([item], {
+        pickFields: ['id', 'Name', 'createdAt', 'latitude', 'longitude'],
+        stripFields: ['id'],
+        fieldMap: {
+          convert: { createdAt: 'epochSecondsToIso' },
+          geoPoints: { location: { lat: 'latitude', lon: 'longitude' } },
+          rename: { Name: 'name' },
+          omit: ['latitude', 'longitude']
+        }
+      })
+
+      expect(mapping).to.deep.equal({
+        properties: {
+          name: { type: 'keyword' },
+          createdAt: { type: 'date' },
+          location: { type: 'geo_point' }
+        }
+      })
+    })
+
+    it('should apply "fieldMap" functions to the values the handler gives them', async function () {
+      const item = {
+        id: { S: 'a' },
+        tags: { SS: ['new', 'gift'] },
+        price: { N: '10' },
+        tax: { N: '2' }
+      }
+
+      const mapping = await inferMapping([item], {
+        fieldMap: {
+          computed: {
+            tagCount: doc => doc.tags.length,
+            total: doc => doc.price + doc.tax
+          }
+        }
+      })
+
+      expect(mapping).to.deep.equal({
+        properties: {
+          id: { type: 'keyword' },
+          tags: { type: 'keyword' },
+          price: { type: 'long' },
+          tax: { type: 'long' },
+          tagCount: { type: 'long' },
+          total: { type: 'long' }
+        }
+      })
+    })
+
+    it('should throw MappingConflictError on incompatible types', function () {
+      return inferMapping([
+        { id: { S: 'a' }, value: { N: '1' } },
+        { id: { S: 'b' }, value: { M: { a: { S: 'x' } } } }
+      ]).then(
+        () => expect.fail('should have thrown'),
+        err => {
+          expect(err).to.be.instanceOf(MappingConflictError)
+          expect(err.message).to.be.equal('"value" has conflicting types: long, object')
+        }
+      )
+    })
+  })
 })
@@ -17,16 +17,39 @@ export default (records) => {
       const newImage = eventName === 'REMOVE' ? null : { ...record.new, ...keys }
       const oldImage = eventName === 'INSERT' ? null : { ...keys, ...record.old }
 
-      return {
+      const dynamodb = {
+        Keys: marshall(keys),
+        NewImage: newImage ? marshall(newImage) : undefined,
+        OldImage: oldImage ? marshall(oldImage) : undefined,
+        StreamViewType: 'NEW_AND_OLD_IMAGES'
+      }
+
+      if (record.sequenceNumber) {
+        dynamodb.SequenceNumber = record.sequenceNumber
+      }
+
+      if (record.time) {
+        dynamodb.ApproximateCreationDateTime = record.time
+      }
+
+      const formatted = {
         eventName,
         eventSource: 'aws:dynamodb',
-        dynamodb: {
-          Keys: marshall(keys),
-          NewImage: newImage ? marshall(newImage) : undefined,
-          OldImage: oldImage ? marshall(oldImage) : undefined,
-          StreamViewType: 'NEW_AND_OLD_IMAGES'
+        dynamodb
+      }
+
+      if (record.table) {
+        formatted.eventSourceARN = `arn:aws:dynamodb:us-east-1:123456789012:table/${record.table}/stream/2026-01-01T00:00:00.000`
+      }
+
+      if (record.ttl) {
+        formatted.userIdentity = {
+          type: 'Service',
+          principalId: 'dynamodb.amazonaws.com'
         }
       }
+
+      return formatted
     })
   }
 }